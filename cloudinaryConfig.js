@@ -1,31 +1,30 @@
 const cloudinary = require('cloudinary').v2;
 
-if (!process.env.CLOUDINARY_CLOUD_NAME || 
-    !process.env.CLOUDINARY_API_KEY || 
-    !process.env.CLOUDINARY_API_SECRET) {
-  console.error('Missing required Cloudinary configuration. Image upload functionality will not work.');
-  process.exit(1);
-}
-
-try {
-  cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET,
-    secure: true // Force HTTPS
-  });
+const isConfigured = Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME &&
+  process.env.CLOUDINARY_API_KEY &&
+  process.env.CLOUDINARY_API_SECRET
+);
 
-  // Verify configuration by making a test API call
-  cloudinary.api.ping()
-    .then(() => console.log('Cloudinary configuration verified successfully'))
-    .catch(error => {
-      console.error('Failed to verify Cloudinary configuration:', error);
-      process.exit(1);
+// Without credentials the storage layer falls back to local disk, so a missing
+// configuration is not fatal
+if (isConfigured) {
+  try {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+      secure: true // Force HTTPS
     });
 
-} catch (error) {
-  console.error('Failed to initialize Cloudinary:', error);
-  process.exit(1);
+    // Verify configuration by making a test API call
+    cloudinary.api.ping()
+      .then(() => console.log('Cloudinary configuration verified successfully'))
+      .catch(error => console.error('Failed to verify Cloudinary configuration:', error));
+  } catch (error) {
+    console.error('Failed to initialize Cloudinary:', error);
+  }
 }
 
-module.exports = cloudinary;
\ No newline at end of file
+module.exports = cloudinary;
+module.exports.isConfigured = isConfigured;
@@ -1,97 +1,106 @@
 const Cart = require('../models/cart');
 const Product = require('../models/product');
-const Discount = require('../models/discount');
+const discountEngine = require('../services/discountEngine');
+const { cartLines, priceCart } = require('../services/cartPricing');
+const {
+  isSameLine,
+  resolveCartVariant,
+  addToCart,
+  saveForLater,
+  moveSavedToCart
+} = require('../services/cartService');
+const { validateCart } = require('../services/cartValidation');
+const { signCartToken, setCartToken } = require('../utils/cartToken');
 const mongoose = require('mongoose');
 
+const CART_PRODUCTS = 'items.product savedForLater.product';
+
+// The cart this request is about (see cartSession), or null when there is none yet
+const findCart = async (req, { populate = false } = {}) => {
+  if (!req.cartOwner.filter) {
+    return null;
+  }
+  const query = Cart.findOne(req.cartOwner.filter);
+  return populate ? query.populate(CART_PRODUCTS) : query;
+};
+
+// Users' carts are created on first add. Guests get a new cart and a signed
+// token to find it with, re-issued on each add so it lasts as long as the cart.
+const findOrCreateCart = async (req, res) => {
+  const { userId } = req.cartOwner;
+  if (userId) {
+    return Cart.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId, items: [] } },
+      { new: true, upsert: true }
+    );
+  }
+
+  const cart = (await findCart(req)) || new Cart({ items: [] });
+  setCartToken(res, signCartToken(cart._id));
+  return cart;
+};
+
 // Add item to cart
 exports.addItemToCart = async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
-    
-    console.log('Adding to cart - Product ID:', productId, 'Quantity:', quantity);
+    const { productId, variantId, quantity } = req.body;
 
-
-    
     if (!productId || quantity <= 0) {
       return res.status(400).json({ error: 'Invalid product ID or quantity' });
     }
 
     // Validate if the ID is a valid MongoDB ObjectId
     if (!mongoose.Types.ObjectId.isValid(productId)) {
-      console.log('Invalid ObjectId format:', productId);
       return res.status(400).json({ error: 'Invalid product ID format' });
     }
 
-    // Clean the ID by removing any quotes and whitespace
-    const cleanProductId = productId.toString().replace(/['"]+/g, '').trim();
-    console.log('Cleaned Product ID:', cleanProductId);
-
-    // Debug: List all products in the database
-    const allProducts = await Product.find({});
-    console.log('Total products in database:', allProducts.length);
-    console.log('Available product IDs:', allProducts.map(p => p._id.toString()));
-
-    const product = await Product.findById(cleanProductId);
-    console.log('Found product:', product);
-
+    const product = await Product.findById(productId);
     if (!product) {
-      return res.status(404).json({ 
-        error: 'Product not found',
-        debug: {
-          searchedId: cleanProductId,
-          totalProducts: allProducts.length,
-          availableIds: allProducts.map(p => p._id.toString())
-        }
-      });
+      return res.status(404).json({ error: 'Product not found' });
     }
 
-    if (!product.isActive) {
-      return res.status(400).json({ error: 'This product is no longer available' });
-    }
+    const variant = resolveCartVariant(product, variantId);
 
-    if (product.stock < quantity) {
-      return res.status(400).json({ error: 'Not enough stock available' });
-    }
-
-    let cart = await Cart.findOneAndUpdate(
-      { user: req.user._id },
-      { $setOnInsert: { user: req.user._id, items: [] } },
-      { new: true, upsert: true }
-    );
-
-    const itemIndex = cart.items.findIndex(item => item.product.toString() === cleanProductId);
-    if (itemIndex > -1) {
-      // Check if adding quantity exceeds available stock
-      const newQuantity = cart.items[itemIndex].quantity + quantity;
-      if (newQuantity > product.stock) {
-        return res.status(400).json({ error: 'Adding this quantity would exceed available stock' });
-      }
-      cart.items[itemIndex].quantity = newQuantity;
-    } else {
-      cart.items.push({ product: cleanProductId, quantity });
-    }
+    const cart = await findOrCreateCart(req, res);
 
+    // Checked against variant stock when a variant is chosen, otherwise the
+    // product's, less what unpaid checkouts are holding
+    addToCart(cart, product, variant, quantity);
     await cart.save();
     
     // Populate product details before sending response
-    await cart.populate('items.product');
+    await cart.populate(CART_PRODUCTS);
+    const pricing = await priceCart(cart, req.cartOwner.userId);
 
     res.json({ 
       success: true,
       message: 'Item added to cart successfully', 
-      cart 
+      cart,
+      pricing
     });
   } catch (error) {
     console.error('Error adding item to cart:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 };
 
 // Get cart
 exports.getCart = async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
-    res.json(cart || { items: [] });
+    const cart = await findCart(req, { populate: true });
+    const { warnings, changes } = await validateCart(cart);
+    const pricing = await priceCart(cart, req.cartOwner.userId);
+    if (!cart) {
+      return res.json({ items: [], savedForLater: [], pricing, changes });
+    }
+
+    // Each line carries what has changed about it since it was added
+    const body = cart.toJSON();
+    const annotate = item => ({ ...item, warnings: warnings.get(item._id.toString()) || [] });
+    body.items = body.items.map(annotate);
+    body.savedForLater = body.savedForLater.map(annotate);
+    res.json({ ...body, pricing, changes });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -100,15 +109,17 @@ exports.getCart = async (req, res) => {
 // Remove item from cart
 exports.removeItemFromCart = async (req, res) => {
   try {
-    const { productId } = req.body;
-    let cart = await Cart.findOne({ user: req.user._id });
+    const { productId, variantId } = req.body;
+    const cart = await findCart(req);
 
     if (!cart) return res.status(404).json({ error: 'Cart not found' });
 
-    cart.items = cart.items.filter(item => item.product.toString() !== productId);
+    cart.items = cart.items.filter(item => !isSameLine(item, productId, variantId));
     await cart.save();
+    await cart.populate(CART_PRODUCTS);
+    const pricing = await priceCart(cart, req.cartOwner.userId);
 
-    res.json({ message: 'Item removed from cart', cart });
+    res.json({ message: 'Item removed from cart', cart, pricing });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -117,22 +128,100 @@ exports.removeItemFromCart = async (req, res) => {
 // Update cart item quantity
 exports.updateCartItem = async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
 
     if (quantity <= 0) {
       return res.status(400).json({ error: 'Quantity must be at least 1' });
     }
 
-    let cart = await Cart.findOne({ user: req.user._id });
+    const cart = await findCart(req);
     if (!cart) return res.status(404).json({ error: 'Cart not found' });
 
-    const item = cart.items.find(item => item.product.toString() === productId);
+    const item = cart.items.find(item => isSameLine(item, productId, variantId));
     if (!item) return res.status(404).json({ error: 'Item not in cart' });
 
+    const product = await Product.findById(productId);
+    const variant = product && item.variant ? product.variants.id(item.variant) : null;
+    if (product && quantity > product.availableFor(variant)) {
+      return res.status(400).json({ error: 'Not enough stock available' });
+    }
+
     item.quantity = quantity;
     await cart.save();
+    await cart.populate(CART_PRODUCTS);
+    const pricing = await priceCart(cart, req.cartOwner.userId);
 
-    res.json({ message: 'Cart updated successfully', cart });
+    res.json({ message: 'Cart updated successfully', cart, pricing });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Move a cart line to the saved-for-later list
+exports.saveItemForLater = async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const cart = await findCart(req);
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    saveForLater(cart, productId, variantId);
+    await cart.save();
+    await cart.populate(CART_PRODUCTS);
+    const pricing = await priceCart(cart, req.cartOwner.userId);
+
+    res.json({ message: 'Item saved for later', cart, pricing });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+// Move a saved line back into the cart
+exports.moveSavedItemToCart = async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const cart = await findCart(req);
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    const product = mongoose.Types.ObjectId.isValid(productId) ? await Product.findById(productId) : null;
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const variant = resolveCartVariant(product, variantId);
+    moveSavedToCart(cart, product, variant);
+    await cart.save();
+    await cart.populate(CART_PRODUCTS);
+    const pricing = await priceCart(cart, req.cartOwner.userId);
+
+    res.json({ message: 'Item moved to cart', cart, pricing });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+// Remove a line from the saved-for-later list
+exports.removeSavedItem = async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const cart = await findCart(req);
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    const saved = cart.savedForLater.find(item => isSameLine(item, productId, variantId));
+    if (!saved) {
+      return res.status(404).json({ error: 'Item not in saved for later' });
+    }
+
+    cart.savedForLater.pull(saved._id);
+    await cart.save();
+    await cart.populate(CART_PRODUCTS);
+
+    res.json({ message: 'Saved item removed', cart });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -141,11 +230,9 @@ exports.updateCartItem = async (req, res) => {
 // Get total cart price
 exports.getCartTotal = async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
-    if (!cart) return res.json({ total: 0 });
-
-    const total = cart.items.reduce((sum, item) => sum + item.product.price * item.quantity, 0);
-    res.json({ total });
+    const cart = await findCart(req, { populate: true });
+    const pricing = await priceCart(cart, req.cartOwner.userId);
+    res.json(pricing);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -154,10 +241,11 @@ exports.getCartTotal = async (req, res) => {
 // Clear cart
 exports.clearCart = async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id });
+    const cart = await findCart(req);
     if (!cart) return res.status(404).json({ error: 'Cart not found' });
 
     cart.items = [];
+    cart.discountCode = undefined;
     await cart.save();
 
     res.json({ message: 'Cart cleared' });
@@ -169,23 +257,53 @@ exports.clearCart = async (req, res) => {
 // Apply discount code
 exports.applyDiscount = async (req, res) => {
   try {
-    const { code } = req.body;
-
-    const discount = await Discount.findOne({ code, isActive: true, expiresAt: { $gt: new Date() } });
-    if (!discount) return res.status(400).json({ error: 'Invalid or expired discount code' });
+    const code = req.body.discountCode || req.body.code;
+    if (!code) {
+      return res.status(400).json({ error: 'Discount code is required' });
+    }
 
-    const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
-    if (!cart || cart.items.length === 0) return res.status(400).json({ error: 'Cart is empty' });
+    const cart = await findCart(req, { populate: true });
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
 
-    let total = cart.items.reduce((sum, item) => sum + item.product.price * item.quantity, 0);
+    const discount = await discountEngine.findByCode(code);
+    if (!discount) {
+      return res.status(400).json({ error: 'Invalid or expired discount code' });
+    }
 
-    if (discount.discountType === 'fixed') {
-      total = Math.max(0, total - discount.amount);
-    } else if (discount.discountType === 'percentage') {
-      total = parseFloat((total * (1 - discount.amount / 100)).toFixed(2));
+    const lines = cartLines(cart);
+    const evaluation = await discountEngine.evaluateDiscount({ discount, lines, userId: req.cartOwner.userId });
+    if (!evaluation.applicable) {
+      return res.status(400).json({ error: evaluation.reasons[0] });
     }
 
-    res.json({ total, discountApplied: discount.code });
+    cart.discountCode = discount.code;
+    await cart.save();
+
+    res.json({
+      total: evaluation.total,
+      subtotal: evaluation.subtotal,
+      discountAmount: evaluation.discountAmount,
+      discountApplied: discount.code,
+      lines: evaluation.lines
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Remove the applied discount code
+exports.removeDiscount = async (req, res) => {
+  try {
+    const cart = await findCart(req, { populate: true });
+    if (!cart) return res.status(404).json({ error: 'Cart not found' });
+
+    cart.discountCode = undefined;
+    await cart.save();
+    const pricing = await priceCart(cart, req.cartOwner.userId);
+
+    res.json({ message: 'Discount removed', pricing });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
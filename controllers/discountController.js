@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const Discount = require('../models/discount');
+const Cart = require('../models/cart');
+const Product = require('../models/product');
+const createError = require('../utils/error');
+const discountEngine = require('../services/discountEngine');
+const { buildLine, cartLines } = require('../services/cartPricing');
+
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'amount',
+  'buyQuantity',
+  'getQuantity',
+  'getDiscountPercent',
+  'minSubtotal',
+  'maxDiscountAmount',
+  'usageLimit',
+  'perUserLimit',
+  'firstOrderOnly',
+  'appliesTo',
+  'startsAt',
+  'expiresAt',
+  'isActive'
+];
+
+const pickFields = body =>
+  EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+
+// Resolve the lines (and owner, for per-user rules) to preview against:
+// a stored cart, or explicit items
+const loadPreviewItems = async ({ cartId, items, userId }) => {
+  if (cartId) {
+    if (!mongoose.Types.ObjectId.isValid(cartId)) {
+      throw createError(400, 'Invalid cart ID');
+    }
+    const cart = await Cart.findById(cartId).populate('items.product');
+    if (!cart) {
+      throw createError(404, 'Cart not found');
+    }
+    return { lines: cartLines(cart), userId: cart.user };
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createError(400, 'Provide a cartId or a list of items');
+  }
+
+  const products = await Product.find({ _id: { $in: items.map(item => item.productId) } });
+  const lines = items
+    .map(item => ({
+      product: products.find(product => product._id.toString() === item.productId),
+      variantId: item.variantId,
+      quantity: Number(item.quantity) || 1
+    }))
+    .filter(item => item.product)
+    .map(item => buildLine(item.product, item.variantId, item.quantity));
+  return { lines, userId };
+};
+
+// Create a discount code
+exports.createDiscount = async (req, res, next) => {
+  try {
+    const discount = await Discount.create(pickFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Discount created successfully',
+      data: discount
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(createError(400, 'A discount with this code already exists'));
+    }
+    if (error.name === 'ValidationError') {
+      return next(createError(400, error.message));
+    }
+    next(createError(500, error.message));
+  }
+};
+
+// List discount codes with pagination and optional filters
+exports.getDiscounts = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === 'true';
+    }
+    if (req.query.expired === 'true') {
+      query.expiresAt = { $lte: new Date() };
+    } else if (req.query.expired === 'false') {
+      query.expiresAt = { $gt: new Date() };
+    }
+    if (req.query.code) {
+      query.code = Discount.normaliseCode(req.query.code);
+    }
+
+    const [discounts, total] = await Promise.all([
+      Discount.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Discount.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        discounts,
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalDiscounts: total
+      }
+    });
+  } catch (error) {
+    next(createError(500, error.message));
+  }
+};
+
+// Get discount by ID
+exports.getDiscountById = async (req, res, next) => {
+  try {
+    const discount = await Discount.findById(req.params.id);
+    if (!discount) {
+      return next(createError(404, 'Discount not found'));
+    }
+
+    res.json({
+      success: true,
+      data: discount
+    });
+  } catch (error) {
+    next(createError(500, error.message));
+  }
+};
+
+// Update discount
+exports.updateDiscount = async (req, res, next) => {
+  try {
+    const discount = await Discount.findById(req.params.id);
+    if (!discount) {
+      return next(createError(404, 'Discount not found'));
+    }
+
+    discount.set(pickFields(req.body));
+    await discount.save();
+
+    res.json({
+      success: true,
+      message: 'Discount updated successfully',
+      data: discount
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(createError(400, 'A discount with this code already exists'));
+    }
+    if (error.name === 'ValidationError') {
+      return next(createError(400, error.message));
+    }
+    next(createError(500, error.message));
+  }
+};
+
+// Deactivate discount (soft delete)
+exports.deleteDiscount = async (req, res, next) => {
+  try {
+    const discount = await Discount.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+    if (!discount) {
+      return next(createError(404, 'Discount not found'));
+    }
+
+    res.json({
+      success: true,
+      message: 'Discount deactivated successfully',
+      data: discount
+    });
+  } catch (error) {
+    next(createError(500, error.message));
+  }
+};
+
+// Preview what a code would take off a cart, without applying it
+exports.previewDiscount = async (req, res, next) => {
+  try {
+    const { code, cartId, items, userId } = req.body;
+
+    const discount = await discountEngine.findByCode(code);
+    if (!discount) {
+      return next(createError(404, 'Discount not found'));
+    }
+
+    const preview = await loadPreviewItems({ cartId, items, userId });
+    const evaluation = await discountEngine.evaluateDiscount({ discount, ...preview });
+
+    res.json({
+      success: true,
+      data: {
+        code: discount.code,
+        ...evaluation
+      }
+    });
+  } catch (error) {
+    next(createError(error.statusCode || 500, error.message));
+  }
+};
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const InventoryMovement = require('../models/inventoryMovement');
+const StockAlert = require('../models/stockAlert');
+const createError = require('../utils/error');
+const inventoryService = require('../services/inventoryService');
+
+// Sales and cancellations are only recorded by checkout and order handling
+const MANUAL_MOVEMENT_TYPES = ['adjustment', 'return'];
+
+// Manually adjust stock, e.g. after a stock count or a customer return
+exports.adjustStock = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return next(createError(404, 'Product not found'));
+    }
+
+    const { quantity, variantId, reason, orderId, type = 'adjustment' } = req.body;
+    if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+      return next(createError(400, 'Type must be adjustment or return'));
+    }
+    if (product.hasVariants && !variantId) {
+      return next(createError(400, 'variantId is required for products with variants'));
+    }
+    if (variantId && !product.variants.id(variantId)) {
+      return next(createError(404, 'Variant not found'));
+    }
+
+    // The stock change and its ledger entry are saved together or not at all
+    const session = await mongoose.startSession();
+    let result;
+    try {
+      await session.withTransaction(async () => {
+        result = await inventoryService.changeStock({
+          productId: product._id,
+          variantId: product.hasVariants ? variantId : undefined,
+          quantity,
+          type,
+          actor: req.user._id,
+          order: orderId,
+          reason,
+          session
+        });
+      });
+    } finally {
+      await session.endSession();
+    }
+    if (!result) {
+      return next(createError(400, 'Adjustment would take stock below zero'));
+    }
+    inventoryService.afterStockChange([product._id]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: {
+        movement: result.movement,
+        stock: result.product.stock
+      }
+    });
+  } catch (error) {
+    next(createError(500, error.message));
+  }
+};
+
+// Stock movement history of a product, newest first
+exports.getMovements = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const skip = (page - 1) * limit;
+
+    const exists = await Product.exists({ _id: req.params.id });
+    if (!exists) {
+      return next(createError(404, 'Product not found'));
+    }
+
+    const query = { product: req.params.id };
+    if (req.query.variantId) {
+      query.variant = req.query.variantId;
+    }
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'name email')
+        .populate('order', 'orderNumber'),
+      InventoryMovement.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        movements,
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalMovements: total
+      }
+    });
+  } catch (error) {
+    next(createError(500, error.message));
+  }
+};
+
+// In-app list of stock alerts, newest first
+exports.getStockAlerts = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const skip = (page - 1) * limit;
+
+    const query = { status: req.query.status || 'open' };
+    if (req.query.acknowledged !== undefined) {
+      query.acknowledgedAt = req.query.acknowledged === 'true' ? { $ne: null } : null;
+    }
+
+    const [alerts, total] = await Promise.all([
+      StockAlert.find(query)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('product', 'name sku image stock reserved lowStockThreshold'),
+      StockAlert.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalAlerts: total
+      }
+    });
+  } catch (error) {
+    next(createError(500, error.message));
+  }
+};
+
+// Mark a stock alert as seen; it stays open until the stock recovers
+exports.acknowledgeStockAlert = async (req, res, next) => {
+  try {
+    const alert = await StockAlert.findByIdAndUpdate(
+      req.params.alertId,
+      { acknowledgedAt: new Date(), acknowledgedBy: req.user._id },
+      { new: true }
+    );
+    if (!alert) {
+      return next(createError(404, 'Stock alert not found'));
+    }
+
+    res.json({
+      success: true,
+      message: 'Stock alert acknowledged',
+      data: alert
+    });
+  } catch (error) {
+    next(createError(500, error.message));
+  }
+};
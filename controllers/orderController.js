@@ -1,93 +1,66 @@
-const Cart = require('../models/cart');
-const Order = require('../models/order');
-const Product = require('../models/product');
-const mongoose = require('mongoose');
-
-// Place an order
-exports.placeOrder = async (req, res) => {
-  // Start a database transaction
-  const session = await mongoose.startSession();
-  session.startTransaction();
+const orderService = require('../services/orderService');
+const { transitionOrder } = require('../services/orderStatusService');
+const createError = require('../utils/error');
 
+// Place an order from explicit items, or from the user's cart when none are given
+exports.placeOrder = async (req, res, next) => {
   try {
-    // Find the user's cart and populate product details
-    const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
-    if (!cart || cart.items.length === 0) {
-      return res.status(400).json({ error: 'Cart is empty' });
-    }
-
-    let totalAmount = 0;
-    const orderItems = [];
-
-    // Process each item in the cart
-    for (const item of cart.items) {
-      const productId = item.product;
-      const product = await Product.findById(productId).session(session);
-      
-      if (!product) {
-        await session.abortTransaction();
-        return res.status(404).json({ error: `Product not found for ID: ${productId}` });
-      }
-
-      // Check if there is enough stock
-      if (product.stock < item.quantity) {
-        await session.abortTransaction();
-        return res.status(400).json({ error: `Not enough stock for ${product.name}` });
-      }
+    const { items, shippingAddress, paymentMethod, discountCode, notes } = req.body;
 
-      // Verify current price matches cart price
-      if (product.price !== item.product.price) {
-        await session.abortTransaction();
-        return res.status(400).json({ 
-          error: `Price has changed for ${product.name}. Please update your cart.` 
-        });
-      }
+    const order = await orderService.createOrder({
+      userId: req.user._id,
+      items,
+      shippingAddress,
+      paymentMethod,
+      discountCode,
+      notes
+    });
 
-      // Deduct stock
-      product.stock -= item.quantity;
-      totalAmount += product.price * item.quantity;
+    res.status(201).json(orderService.formatOrderResponse(order, 'Order placed successfully'));
+  } catch (error) {
+    console.error('Order placement failed:', error);
+    next(createError(error.statusCode || 500, error.statusCode ? error.message : 'Failed to place order'));
+  }
+};
 
-      // Save the updated product
-      await product.save({ session });
+// Move an order through its lifecycle (admin)
+exports.updateOrderStatus = async (req, res, next) => {
+  try {
+    const { status, reason } = req.body;
 
-      // Add to order items
-      orderItems.push({ 
-        product: product._id, 
-        quantity: item.quantity,
-        priceAtOrder: product.price
-      });
-    }
+    // Cancelling goes through the order service so stock is returned
+    const order = status === 'cancelled'
+      ? await orderService.cancelOrder({ orderId: req.params.id, actor: req.user._id, reason })
+      : await transitionOrder(req.params.id, status, { actor: req.user._id, reason });
 
-    // Create the order
-    const order = new Order({
-      user: req.user._id,
-      products: orderItems,
-      totalAmount,
-      status: 'pending',
-      createdAt: new Date()
+    res.json({
+      success: true,
+      message: `Order status updated to ${order.orderStatus}`,
+      data: { order }
     });
+  } catch (error) {
+    console.error('Order status update failed:', error);
+    next(createError(error.statusCode || 500, error.statusCode ? error.message : 'Failed to update order status'));
+  }
+};
 
-    // Save the order
-    await order.save({ session });
-
-    // Clear the user's cart
-    await Cart.findOneAndDelete({ user: req.user._id }, { session });
-
-    // Commit the transaction
-    await session.commitTransaction();
+// Cancel one of the current user's orders
+exports.cancelOrder = async (req, res, next) => {
+  try {
+    const order = await orderService.cancelOrder({
+      orderId: req.params.id,
+      actor: req.user._id,
+      userId: req.user._id,
+      reason: req.body.reason
+    });
 
-    // Respond with success message
-    res.json({ 
-      message: 'Order placed successfully', 
-      order,
-      orderNumber: order._id
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      data: { order }
     });
   } catch (error) {
-    // Rollback the transaction on error
-    await session.abortTransaction();
-    console.error('Order placement failed:', error);
-    res.status(500).json({ error: 'Failed to place order' });
-  } finally {
-    session.endSession();
+    console.error('Order cancellation failed:', error);
+    next(createError(error.statusCode || 500, error.statusCode ? error.message : 'Failed to cancel order'));
   }
-};
\ No newline at end of file
+};
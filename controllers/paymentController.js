@@ -0,0 +1,53 @@
+const paymentService = require('../services/paymentService');
+const createError = require('../utils/error');
+
+// Start a payment for one of the user's orders
+exports.createPaymentIntent = async (req, res, next) => {
+  try {
+    const { orderId, provider } = req.body;
+
+    const { payment, clientSecret } = await paymentService.createPaymentIntent({
+      orderId,
+      userId: req.user._id,
+      provider
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment initiated successfully',
+      data: {
+        paymentId: payment._id,
+        provider: payment.provider,
+        providerPaymentId: payment.providerPaymentId,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        clientSecret
+      }
+    });
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    next(createError(error.statusCode || 500, error.statusCode ? error.message : 'Failed to initiate payment'));
+  }
+};
+
+// Receive payment status updates from a provider
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const payment = await paymentService.handleWebhook({
+      provider: req.params.provider,
+      rawBody: req.rawBody,
+      headers: req.headers,
+      body: req.body
+    });
+
+    res.json({
+      success: true,
+      received: true,
+      data: payment ? { paymentId: payment._id, status: payment.status } : null
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    next(createError(error.statusCode || 500, error.statusCode ? error.message : 'Failed to process webhook'));
+  }
+};
@@ -1,11 +1,17 @@
-const cloudinary = require('../cloudinaryConfig');
 const Product = require('../models/product');
 const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const createError = require('../utils/error');
 const mongoose = require('mongoose');
 const Category = require('../models/category');
 const Cart = require('../models/cart');
 const Order = require('../models/order');
+const orderService = require('../services/orderService');
+const imagePipeline = require('../services/imagePipeline');
+const productCatalog = require('../services/productCatalog');
+const inventoryService = require('../services/inventoryService');
+const { DEFAULT_LOW_STOCK_THRESHOLD } = require('../services/stockAlertService');
 
 // Cache durations
 const CACHE_DURATIONS = {
@@ -22,37 +28,168 @@ const setCacheHeader = (res, duration) => {
   res.set('Cache-Control', `public, max-age=${duration}`);
 };
 
-// Utility function to handle Cloudinary upload
-const uploadToCloudinary = async (file) => {
+const PRODUCT_IMAGE_FOLDER = 'capital_shop/products';
+
+// Matches products with available (unreserved) stock
+const IN_STOCK_EXPR = { $gt: ['$stock', { $ifNull: ['$reserved', 0] }] };
+
+// Matches products, or any active variant, at or below the low-stock threshold
+const LOW_STOCK_THRESHOLD_EXPR = { $ifNull: ['$lowStockThreshold', DEFAULT_LOW_STOCK_THRESHOLD] };
+const LOW_STOCK_EXPR = {
+  $or: [
+    {
+      $and: [
+        { $eq: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+        { $lte: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, LOW_STOCK_THRESHOLD_EXPR] }
+      ]
+    },
+    {
+      $anyElementTrue: [{
+        $map: {
+          input: { $ifNull: ['$variants', []] },
+          as: 'variant',
+          in: {
+            $and: [
+              '$$variant.isActive',
+              { $lte: [{ $subtract: ['$$variant.stock', { $ifNull: ['$$variant.reserved', 0] }] }, LOW_STOCK_THRESHOLD_EXPR] }
+            ]
+          }
+        }
+      }]
+    }
+  ]
+};
+
+// Strip, resize and store an uploaded file with the configured storage backend
+const uploadImage = async (file, options = {}) => {
   try {
-    const result = await cloudinary.uploader.upload(file.path, {
-      resource_type: 'image',
-      folder: 'capital_shop/products',
-    });
-    fs.unlinkSync(file.path); // Remove temp file
-    return result.secure_url;
+    return await imagePipeline.processImage(file.path, { folder: PRODUCT_IMAGE_FOLDER, ...options });
   } catch (error) {
-    fs.unlinkSync(file.path); // Clean up on error
     throw new Error('Failed to upload image');
+  } finally {
+    fs.unlinkSync(file.path); // Remove temp file
+  }
+};
+
+// Delete removed or replaced gallery images, with their renditions, from
+// storage. Best effort: the product change is already saved, so failures are
+// only logged.
+const deleteImageAssets = async images => {
+  await Promise.all(images.map(image =>
+    imagePipeline.deleteImage(image)
+      .catch(error => console.error(`Failed to delete image ${image.url}:`, error.message))
+  ));
+};
+
+const removeTempFiles = files => {
+  (files || []).forEach(file => fs.unlink(file.path, () => {}));
+};
+
+// Upload files as gallery images, with alt text matched by index. If one
+// upload fails, the images already uploaded are deleted again.
+const uploadGalleryImages = async (files, alts = []) => {
+  const images = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      const image = await uploadImage(file);
+      images.push({ ...image, alt: alts[index] || '' });
+    }
+    return images;
+  } catch (error) {
+    removeTempFiles(files.slice(images.length + 1));
+    await deleteImageAssets(images);
+    throw error;
+  }
+};
+
+// Variants have a single image, without renditions
+const uploadVariantImage = async file => {
+  const { url, storage, key } = await uploadImage(file, { renditions: false });
+  return { url, storage, key };
+};
+
+// primaryImage is the index of the uploaded file to show first; defaults to the first
+const markPrimaryUpload = (images, primaryImage) => {
+  const primary = images[parseInt(primaryImage) || 0];
+  if (primary) {
+    primary.isPrimary = true;
+  }
+  return images;
+};
+
+// Alt text for uploaded images arrives as a JSON array in the multipart form
+const parseImageAlts = body => {
+  const alts = body.imageAlts ? parseJsonField(body.imageAlts, 'imageAlts') : [];
+  if (!Array.isArray(alts)) {
+    throw createError(400, 'imageAlts must be an array');
+  }
+  return alts;
+};
+
+// Multipart forms send nested fields such as options as JSON strings
+const parseJsonField = (value, field) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw createError(400, `${field} must be valid JSON`);
   }
 };
 
+// Variant fields an admin may set; image is handled as an upload
+const pickVariantFields = body => {
+  const fields = {};
+  if (body.sku !== undefined) {
+    fields.sku = body.sku;
+  }
+  if (body.options !== undefined) {
+    fields.options = parseJsonField(body.options, 'options');
+  }
+  if (body.price !== undefined) {
+    // An empty price removes the override
+    fields.price = body.price === '' || body.price === null ? undefined : parseFloat(body.price);
+  }
+  if (body.stock !== undefined) {
+    fields.stock = parseInt(body.stock);
+  }
+  if (body.isActive !== undefined) {
+    fields.isActive = body.isActive === true || body.isActive === 'true';
+  }
+  return fields;
+};
+
+// An empty threshold falls back to the global default
+const parseThreshold = value => {
+  if (value === undefined) {
+    return undefined;
+  }
+  return value === '' || value === null ? null : Number(value);
+};
+
+const productSaveError = error => {
+  if (error.code === 11000) {
+    return createError(400, 'This SKU is already used by another product or variant');
+  }
+  if (error.name === 'ValidationError') {
+    return createError(400, error.message);
+  }
+  return createError(error.statusCode || 500, error.message);
+};
+
 // Create product
 exports.createProduct = async (req, res, next) => {
   try {
-    console.log('Starting product creation...');
-    console.log('Request body:', req.body);
-    console.log('Request file:', req.file);
-
-    if (!req.file) {
-      return next(createError(400, 'Product image is required'));
+    if (!req.files || req.files.length === 0) {
+      return next(createError(400, 'At least one product image is required'));
     }
 
     // Validate required fields
     const requiredFields = ['name', 'price', 'description', 'category'];
     for (const field of requiredFields) {
       if (!req.body[field]) {
-        console.log(`Missing required field: ${field}`);
+        removeTempFiles(req.files);
         return next(createError(400, `${field} is required`));
       }
     }
@@ -60,31 +197,47 @@ exports.createProduct = async (req, res, next) => {
     // Validate price is a number
     const price = parseFloat(req.body.price);
     if (isNaN(price) || price < 0) {
-      console.log('Invalid price:', req.body.price);
+      removeTempFiles(req.files);
       return next(createError(400, 'Price must be a valid positive number'));
     }
 
     // Validate category exists
     const category = await Category.findById(req.body.category);
     if (!category) {
+      removeTempFiles(req.files);
       return next(createError(400, 'Invalid category'));
     }
 
-    // Upload image to Cloudinary
-    const imageUrl = await uploadToCloudinary(req.file);
+    const options = req.body.options ? parseJsonField(req.body.options, 'options') : [];
+    const alts = parseImageAlts(req.body);
 
-    // Create product
+    // Upload images to storage
+    const images = markPrimaryUpload(await uploadGalleryImages(req.files, alts), req.body.primaryImage);
+
+    // Create product; image is set from the primary gallery image
     const product = new Product({
+      sku: req.body.sku,
       name: req.body.name,
       price: price,
       description: req.body.description,
       category: req.body.category,
-      image: imageUrl,
+      images,
       stock: req.body.stock || 0,
+      lowStockThreshold: parseThreshold(req.body.lowStockThreshold),
+      options,
       isActive: req.body.isActive !== undefined ? req.body.isActive : true
     });
 
-    await product.save();
+    try {
+      await inventoryService.saveProduct(product, inventoryService.stockSnapshot(null), {
+        type: 'adjustment',
+        actor: req.user._id,
+        reason: 'Initial stock'
+      });
+    } catch (error) {
+      await deleteImageAssets(images);
+      throw error;
+    }
     await product.populate('category');
 
     res.status(201).json({
@@ -94,7 +247,12 @@ exports.createProduct = async (req, res, next) => {
     });
 
   } catch (error) {
+    // Covers failures before the upload; uploaded temp files are already removed
+    removeTempFiles(req.files);
     console.error('Create product error:', error);
+    if (error.statusCode || error.name === 'ValidationError' || error.code === 11000) {
+      return next(productSaveError(error));
+    }
     next(createError(500, 'Failed to create product'));
   }
 };
@@ -125,9 +283,12 @@ exports.getProducts = async (req, res, next) => {
       query.category = category._id;
     }
 
-    // Stock filter
+    // Stock filters, on stock not held by unpaid checkouts
     if (req.query.inStock === 'true') {
-      query.stock = { $gt: 0 };
+      query.$expr = IN_STOCK_EXPR;
+    }
+    if (req.query.lowStock === 'true') {
+      query.$expr = query.$expr ? { $and: [query.$expr, LOW_STOCK_EXPR] } : LOW_STOCK_EXPR;
     }
 
     // Active filter (optional)
@@ -278,41 +439,173 @@ exports.updateProduct = async (req, res, next) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product) {
+      removeTempFiles(req.files);
       return next(createError(404, 'Product not found'));
     }
-
-    let imageUrl = product.image;
-    if (req.file) {
-      imageUrl = await uploadToCloudinary(req.file);
+    const stockBefore = inventoryService.stockSnapshot(product);
+
+    // New images replace the whole gallery; the old assets are deleted once saved
+    let replacedImages = [];
+    let newImages = [];
+    if (req.files && req.files.length > 0) {
+      newImages = markPrimaryUpload(
+        await uploadGalleryImages(req.files, parseImageAlts(req.body)),
+        req.body.primaryImage
+      );
+      replacedImages = product.ensureGallery().map(image => image.toObject());
+      product.images = newImages;
     }
 
     // Update fields if provided
     const updates = {
+      sku: req.body.sku,
       name: req.body.name,
       price: req.body.price ? parseFloat(req.body.price) : undefined,
       description: req.body.description,
       category: req.body.category ? req.body.category.toLowerCase() : undefined,
       stock: req.body.stock ? parseInt(req.body.stock) : undefined,
-      image: imageUrl,
+      lowStockThreshold: parseThreshold(req.body.lowStockThreshold),
+      options: req.body.options ? parseJsonField(req.body.options, 'options') : undefined,
       isActive: req.body.isActive !== undefined ? req.body.isActive : undefined
     };
 
     // Remove undefined values
     Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      req.params.id,
-      { $set: updates },
-      { new: true, runValidators: true }
-    );
+    // Saved through the document so variants are re-checked against the options;
+    // stock is recalculated from the variants for products that have them
+    product.set(updates);
+    try {
+      await inventoryService.saveProduct(product, stockBefore, {
+        type: 'adjustment',
+        actor: req.user._id,
+        reason: 'Product updated'
+      });
+    } catch (error) {
+      await deleteImageAssets(newImages);
+      throw error;
+    }
+    await deleteImageAssets(replacedImages);
 
     res.json({
       success: true,
       message: 'Product updated successfully',
-      data: updatedProduct
+      data: product
+    });
+  } catch (error) {
+    next(productSaveError(error));
+  }
+};
+
+// Add a variant to a product
+exports.addVariant = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      removeTempFiles(req.file ? [req.file] : []);
+      return next(createError(404, 'Product not found'));
+    }
+
+    const fields = pickVariantFields(req.body);
+    if (req.file) {
+      fields.image = await uploadVariantImage(req.file);
+    }
+
+    const stockBefore = inventoryService.stockSnapshot(product);
+    product.variants.push(fields);
+    try {
+      await inventoryService.saveProduct(product, stockBefore, {
+        type: 'adjustment',
+        actor: req.user._id,
+        reason: 'Variant added'
+      });
+    } catch (error) {
+      await deleteImageAssets(fields.image ? [fields.image] : []);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Variant added successfully',
+      data: {
+        product,
+        variant: product.variants[product.variants.length - 1]
+      }
+    });
+  } catch (error) {
+    next(productSaveError(error));
+  }
+};
+
+// Update a product variant
+exports.updateVariant = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      removeTempFiles(req.file ? [req.file] : []);
+      return next(createError(404, 'Product not found'));
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
+      removeTempFiles(req.file ? [req.file] : []);
+      return next(createError(404, 'Variant not found'));
+    }
+
+    // A new image replaces the old one, whose asset is deleted once saved
+    const fields = pickVariantFields(req.body);
+    let replacedImage = null;
+    if (req.file) {
+      fields.image = await uploadVariantImage(req.file);
+      replacedImage = variant.image ? variant.image.toObject() : null;
+    }
+
+    const stockBefore = inventoryService.stockSnapshot(product);
+    variant.set(fields);
+    try {
+      await inventoryService.saveProduct(product, stockBefore, {
+        type: 'adjustment',
+        actor: req.user._id,
+        reason: 'Variant updated'
+      });
+    } catch (error) {
+      await deleteImageAssets(fields.image ? [fields.image] : []);
+      throw error;
+    }
+    await deleteImageAssets(replacedImage ? [replacedImage] : []);
+
+    res.json({
+      success: true,
+      message: 'Variant updated successfully',
+      data: { product, variant }
     });
   } catch (error) {
-    next(createError(error.statusCode || 500, error.message));
+    next(productSaveError(error));
+  }
+};
+
+// Deactivate a product variant (soft delete, so carts and orders keep their reference)
+exports.deleteVariant = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return next(createError(404, 'Product not found'));
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
+      return next(createError(404, 'Variant not found'));
+    }
+
+    variant.isActive = false;
+    await product.save();
+
+    res.json({
+      success: true,
+      message: 'Variant deleted successfully'
+    });
+  } catch (error) {
+    next(createError(500, error.message));
   }
 };
 
@@ -337,6 +630,191 @@ exports.deleteProduct = async (req, res, next) => {
   }
 };
 
+// Add images to a product's gallery
+exports.addProductImages = async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return next(createError(400, 'At least one image is required'));
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      removeTempFiles(req.files);
+      return next(createError(404, 'Product not found'));
+    }
+
+    const gallery = product.ensureGallery();
+    if (gallery.length + req.files.length > Product.MAX_GALLERY_IMAGES) {
+      removeTempFiles(req.files);
+      return next(createError(400, `A product can have at most ${Product.MAX_GALLERY_IMAGES} images`));
+    }
+
+    const images = await uploadGalleryImages(req.files, parseImageAlts(req.body));
+    gallery.push(...images);
+    if (req.body.primaryImage !== undefined) {
+      const primary = gallery[gallery.length - images.length + parseInt(req.body.primaryImage)];
+      if (primary) {
+        product.setPrimaryImage(primary._id);
+      }
+    }
+
+    try {
+      await product.save();
+    } catch (error) {
+      await deleteImageAssets(images);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Images added successfully',
+      data: { images: product.images }
+    });
+  } catch (error) {
+    next(productSaveError(error));
+  }
+};
+
+// Update an image's alt text or make it the primary image
+exports.updateProductImage = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return next(createError(404, 'Product not found'));
+    }
+
+    const image = product.ensureGallery().id(req.params.imageId);
+    if (!image) {
+      return next(createError(404, 'Image not found'));
+    }
+
+    if (req.body.alt !== undefined) {
+      image.alt = req.body.alt;
+    }
+    if (req.body.isPrimary === true || req.body.isPrimary === 'true') {
+      product.setPrimaryImage(image._id);
+    }
+    await product.save();
+
+    res.json({
+      success: true,
+      message: 'Image updated successfully',
+      data: { images: product.images }
+    });
+  } catch (error) {
+    next(productSaveError(error));
+  }
+};
+
+// Reorder the gallery; imageIds must list every image exactly once
+exports.reorderProductImages = async (req, res, next) => {
+  try {
+    const { imageIds } = req.body;
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return next(createError(404, 'Product not found'));
+    }
+
+    const gallery = product.ensureGallery();
+    const ids = Array.isArray(imageIds) ? imageIds.map(String) : [];
+    const sameImages = ids.length === gallery.length &&
+      new Set(ids).size === ids.length &&
+      ids.every(id => gallery.id(id));
+    if (!sameImages) {
+      return next(createError(400, 'imageIds must list every image of the product exactly once'));
+    }
+
+    product.images = ids.map(id => gallery.id(id).toObject());
+    await product.save();
+
+    res.json({
+      success: true,
+      message: 'Images reordered successfully',
+      data: { images: product.images }
+    });
+  } catch (error) {
+    next(productSaveError(error));
+  }
+};
+
+// Remove an image from the gallery and delete the asset
+exports.removeProductImage = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return next(createError(404, 'Product not found'));
+    }
+
+    const gallery = product.ensureGallery();
+    const image = gallery.id(req.params.imageId);
+    if (!image) {
+      return next(createError(404, 'Image not found'));
+    }
+    if (gallery.length === 1) {
+      return next(createError(400, 'A product must keep at least one image'));
+    }
+
+    const removed = image.toObject();
+    gallery.pull(image._id);
+    await product.save();
+    await deleteImageAssets([removed]);
+
+    res.json({
+      success: true,
+      message: 'Image removed successfully',
+      data: { images: product.images }
+    });
+  } catch (error) {
+    next(productSaveError(error));
+  }
+};
+
+// Create or update products in bulk from a CSV or JSON file
+exports.importProducts = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(createError(400, 'Import file is required'));
+    }
+
+    const format = /\.json$/i.test(req.file.originalname) ? 'json' : 'csv';
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const rows = productCatalog.parseImportFile(req.file.buffer, format);
+    const report = await productCatalog.importProducts(rows, { dryRun, actor: req.user._id });
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? 'Dry run completed; no products were saved'
+        : `Import completed with ${report.failed} failed row(s)`,
+      data: report
+    });
+  } catch (error) {
+    next(createError(error.statusCode || 500, error.statusCode ? error.message : 'Failed to import products'));
+  }
+};
+
+// Stream the whole catalogue as CSV or JSON, in the import format
+exports.exportProducts = async (req, res, next) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  const date = new Date().toISOString().slice(0, 10);
+
+  try {
+    res.set({
+      'Content-Type': format === 'json' ? 'application/json' : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="products-${date}.${format}"`
+    });
+    await pipeline(Readable.from(productCatalog.exportCatalogue(format)), res);
+  } catch (error) {
+    // Once streaming has started the status is sent; the broken download is all the client sees
+    if (res.headersSent) {
+      console.error('Product export failed:', error.message);
+      return;
+    }
+    next(createError(500, 'Failed to export products'));
+  }
+};
+
 // Search products
 exports.searchProducts = async (req, res, next) => {
   try {
@@ -449,7 +927,7 @@ exports.getRecommendedProducts = async (req, res, next) => {
       $and: [
         { _id: { $nin: cart.items.map(item => item.product._id) } }, // Exclude items already in cart
         { isActive: true },
-        { stock: { $gt: 0 } },
+        { $expr: IN_STOCK_EXPR },
         {
           $or: [
             { category: { $in: cartCategories } }, // Same categories as cart items
@@ -476,179 +954,45 @@ exports.getRecommendedProducts = async (req, res, next) => {
 // Checkout products
 exports.checkout = async (req, res, next) => {
   try {
-    const { items, shippingAddress, paymentMethod } = req.body;
-    const userId = req.user.id;
+    const { items, shippingAddress, paymentMethod, discountCode, notes } = req.body;
 
-    // Validate required fields
     if (!items || !Array.isArray(items) || items.length === 0) {
       return next(createError(400, 'Items are required'));
     }
 
-    if (!shippingAddress || !shippingAddress.street || !shippingAddress.city || 
-        !shippingAddress.state || !shippingAddress.zipCode || !shippingAddress.country) {
-      return next(createError(400, 'Complete shipping address is required'));
-    }
-
-    if (!paymentMethod || !['card', 'paypal', 'cash_on_delivery'].includes(paymentMethod)) {
-      return next(createError(400, 'Valid payment method is required'));
-    }
-
-    // Validate and process items
-    const orderItems = [];
-    let totalAmount = 0;
-
-    for (const item of items) {
-      if (!item.productId || !item.quantity || item.quantity < 1) {
-        return next(createError(400, 'Each item must have a valid productId and quantity'));
-      }
-
-      // Check if product exists and has sufficient stock
-      const product = await Product.findById(item.productId);
-      if (!product) {
-        return next(createError(404, `Product with ID ${item.productId} not found`));
-      }
-
-      if (!product.isActive) {
-        return next(createError(400, `Product ${product.name} is not available`));
-      }
-
-      if (product.stock < item.quantity) {
-        return next(createError(400, `Insufficient stock for ${product.name}. Available: ${product.stock}`));
-      }
-
-      const itemTotal = product.price * item.quantity;
-      totalAmount += itemTotal;
-
-      orderItems.push({
-        product: product._id,
-        quantity: item.quantity,
-        price: product.price
-      });
-
-      // Update product stock
-      product.stock -= item.quantity;
-      await product.save();
-    }
-
-    // Create order
-    const order = new Order({
-      user: userId,
-      items: orderItems,
-      totalAmount,
+    const order = await orderService.createOrder({
+      userId: req.user.id,
+      items,
       shippingAddress,
       paymentMethod,
-      paymentStatus: paymentMethod === 'cash_on_delivery' ? 'pending' : 'pending',
-      orderStatus: 'pending'
-    });
-
-    await order.save();
-
-    // Populate order details for response
-    await order.populate('items.product', 'name price image');
-    await order.populate('user', 'name email');
-
-    res.status(201).json({
-      success: true,
-      message: 'Order created successfully',
-      data: {
-        order,
-        orderNumber: order.orderNumber,
-        totalAmount: order.totalAmount
-      }
+      discountCode,
+      notes
     });
 
+    res.status(201).json(orderService.formatOrderResponse(order));
   } catch (error) {
     console.error('Checkout error:', error);
-    next(createError(500, 'Failed to process checkout'));
+    next(createError(error.statusCode || 500, error.statusCode ? error.message : 'Failed to process checkout'));
   }
 };
 
 // Checkout from cart
 exports.checkoutFromCart = async (req, res, next) => {
   try {
-    const { shippingAddress, paymentMethod } = req.body;
-    const userId = req.user.id;
-
-    // Validate required fields
-    if (!shippingAddress || !shippingAddress.street || !shippingAddress.city || 
-        !shippingAddress.state || !shippingAddress.zipCode || !shippingAddress.country) {
-      return next(createError(400, 'Complete shipping address is required'));
-    }
-
-    if (!paymentMethod || !['card', 'paypal', 'cash_on_delivery'].includes(paymentMethod)) {
-      return next(createError(400, 'Valid payment method is required'));
-    }
-
-    // Get user's cart
-    const cart = await Cart.findOne({ user: userId }).populate('items.product');
-    if (!cart || cart.items.length === 0) {
-      return next(createError(400, 'Cart is empty'));
-    }
-
-    // Validate cart items and calculate total
-    const orderItems = [];
-    let totalAmount = 0;
-
-    for (const cartItem of cart.items) {
-      const product = cartItem.product;
-      
-      if (!product.isActive) {
-        return next(createError(400, `Product ${product.name} is not available`));
-      }
+    const { shippingAddress, paymentMethod, discountCode, notes } = req.body;
 
-      if (product.stock < cartItem.quantity) {
-        return next(createError(400, `Insufficient stock for ${product.name}. Available: ${product.stock}`));
-      }
-
-      const itemTotal = product.price * cartItem.quantity;
-      totalAmount += itemTotal;
-
-      orderItems.push({
-        product: product._id,
-        quantity: cartItem.quantity,
-        price: product.price
-      });
-
-      // Update product stock
-      product.stock -= cartItem.quantity;
-      await product.save();
-    }
-
-    // Create order
-    const order = new Order({
-      user: userId,
-      items: orderItems,
-      totalAmount,
+    const order = await orderService.createOrder({
+      userId: req.user.id,
       shippingAddress,
       paymentMethod,
-      paymentStatus: paymentMethod === 'cash_on_delivery' ? 'pending' : 'pending',
-      orderStatus: 'pending'
-    });
-
-    await order.save();
-
-    // Clear the cart after successful order
-    cart.items = [];
-    cart.totalAmount = 0;
-    await cart.save();
-
-    // Populate order details for response
-    await order.populate('items.product', 'name price image');
-    await order.populate('user', 'name email');
-
-    res.status(201).json({
-      success: true,
-      message: 'Order created successfully from cart',
-      data: {
-        order,
-        orderNumber: order.orderNumber,
-        totalAmount: order.totalAmount
-      }
+      discountCode,
+      notes
     });
 
+    res.status(201).json(orderService.formatOrderResponse(order, 'Order created successfully from cart'));
   } catch (error) {
     console.error('Cart checkout error:', error);
-    next(createError(500, 'Failed to process cart checkout'));
+    next(createError(error.statusCode || 500, error.statusCode ? error.message : 'Failed to process cart checkout'));
   }
 };
 
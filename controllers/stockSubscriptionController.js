@@ -0,0 +1,115 @@
+const Product = require('../models/product');
+const StockSubscription = require('../models/stockSubscription');
+const StockSubscriptionOptOut = require('../models/stockSubscriptionOptOut');
+const { verifyUnsubscribeToken } = require('../services/backInStockService');
+const createError = require('../utils/error');
+
+// Find the product or variant a shopper wants to hear about
+const findTarget = async (productId, variantId) => {
+  const product = await Product.findById(productId);
+  if (!product || !product.isActive) {
+    throw createError(404, 'Product not found');
+  }
+
+  if (!product.hasVariants) {
+    if (variantId) {
+      throw createError(400, 'This product has no variants');
+    }
+    return { product, variant: null };
+  }
+
+  if (!variantId) {
+    throw createError(400, 'Please choose a variant of this product');
+  }
+  const variant = product.variants.id(variantId);
+  if (!variant || !variant.isActive) {
+    throw createError(404, 'Variant not found');
+  }
+  return { product, variant };
+};
+
+// Ask to be emailed once when an out-of-stock product or variant is back in stock
+exports.subscribe = async (req, res, next) => {
+  try {
+    const email = req.user ? req.user.email : req.body.email;
+    if (!email) {
+      return next(createError(400, 'Email is required'));
+    }
+
+    const { product, variant } = await findTarget(req.params.id, req.body.variantId);
+    if (product.availableFor(variant) > 0) {
+      return next(createError(400, 'This product is in stock'));
+    }
+
+    // Guests get the same answer for an address that unsubscribed, so the
+    // endpoint does not reveal who did. Signed-in shoppers opt back in.
+    if (req.user) {
+      await StockSubscriptionOptOut.deleteOne({ email: email.toLowerCase() });
+    } else if (await StockSubscriptionOptOut.exists({ email: email.toLowerCase() })) {
+      return res.status(201).json({
+        success: true,
+        message: 'You will be emailed when this product is back in stock'
+      });
+    }
+
+    const filter = { product: product._id, variant: variant ? variant._id : null, email: email.toLowerCase() };
+    await StockSubscription.updateOne(
+      filter,
+      { $setOnInsert: { user: req.user ? req.user._id : undefined } },
+      { upsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'You will be emailed when this product is back in stock'
+    });
+  } catch (error) {
+    next(createError(error.statusCode || 500, error.statusCode ? error.message : 'Failed to subscribe'));
+  }
+};
+
+// Stop waiting for a product, or one of its variants when variantId is given
+exports.unsubscribe = async (req, res, next) => {
+  try {
+    const filter = {
+      product: req.params.id,
+      $or: [{ user: req.user._id }, { email: req.user.email }]
+    };
+    if (req.query.variantId) {
+      filter.variant = req.query.variantId;
+    }
+
+    const { deletedCount } = await StockSubscription.deleteMany(filter);
+    if (deletedCount === 0) {
+      return next(createError(404, 'Subscription not found'));
+    }
+
+    res.json({
+      success: true,
+      message: 'Back-in-stock notification cancelled'
+    });
+  } catch (error) {
+    next(createError(500, error.message));
+  }
+};
+
+// One-click link from back-in-stock emails: cancel every notification for the
+// address and stop guests from subscribing it again. No login needed.
+exports.unsubscribeByToken = async (req, res, next) => {
+  try {
+    const email = verifyUnsubscribeToken(req.params.token);
+    if (!email) {
+      return next(createError(400, 'Invalid unsubscribe link'));
+    }
+
+    await StockSubscriptionOptOut.updateOne({ email }, { $setOnInsert: { email } }, { upsert: true });
+    await StockSubscription.deleteMany({ email });
+
+    res.json({
+      success: true,
+      message: 'You will no longer receive back-in-stock emails.'
+    });
+  } catch (error) {
+    next(createError(500, error.message));
+  }
+};
@@ -6,7 +6,32 @@ const crypto = require("crypto");
 // const otp = require("otp-generator");
 const sendMail = require("../helper/email");
 const emailTemplate = require("../helper/register");
+const resetPasswordTemplate = require('../helper/resetPassword');
 const createError = require("../utils/error");
+const RefreshToken = require('../models/refreshToken');
+const { mergeGuestCartOnLogin } = require('../middleware/cartSession');
+const { verifyUnsubscribeToken } = require('../services/abandonedCartService');
+const {
+    REFRESH_TOKEN_COOKIE,
+    hashToken,
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    setRefreshCookie,
+    clearRefreshCookie,
+} = require('../utils/tokens');
+
+const PASSWORD_RESET_EXPIRES_MINUTES = 10;
+
+// Deliver the refresh token either as an httpOnly cookie or in the response body
+const sessionTokenPayload = (res, session, useCookie) => {
+    if (useCookie) {
+        setRefreshCookie(res, session.refreshToken);
+        return { sessionId: session.sessionId };
+    }
+    return { refreshToken: session.refreshToken, sessionId: session.sessionId };
+};
 
 
 // Register
@@ -62,22 +87,26 @@ const registerUser = async (req, res, next) => {
               text: `Welcome ${newUser.name}, Kindly use this link to verify your email: ${verifyLink}`,
               html: emailTemplate(verifyLink, newUser.name),
           });
-
-          res.status(201).json({
-              success: true,
-              message: "Registration successful! Please check your email to verify your account.",
-              data: {
-                  name: newUser.name,
-                  email: newUser.email,
-                  isVerified: newUser.isVerified
-              }
-          });
       } catch (error) {
           console.error("Failed to send verification email:", error.message);
           // Delete the user if email sending fails
           await User.findByIdAndDelete(newUser._id);
           return next(createError(500, "Failed to complete registration due to email service error. Please try again later."));
       }
+
+      // Carry over anything the shopper put in their cart as a guest
+      const cartMerge = await mergeGuestCartOnLogin(req, res, newUser._id);
+
+      res.status(201).json({
+          success: true,
+          message: "Registration successful! Please check your email to verify your account.",
+          data: {
+              name: newUser.name,
+              email: newUser.email,
+              isVerified: newUser.isVerified
+          },
+          cartMerge
+      });
   } catch (error) {
       console.error("Registration error:", error);
       next(createError(500, "Registration failed. Please try again later."));
@@ -108,13 +137,16 @@ const loginUser = async (req, res, next) => {
           return next(createError(401, "Invalid email or password"));
       }
 
-      // Generate JWT token
-      const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+      // Start a device session (access token + rotating refresh token)
+      const session = await createSession(user, req);
+      const cartMerge = await mergeGuestCartOnLogin(req, res, user._id);
 
       // Return success response
       res.json({ message: "Login successful",
          data: user,
-         token
+         token: session.accessToken,
+         ...sessionTokenPayload(res, session, req.body.useCookie),
+         cartMerge
          });
   } catch (error) {
       console.error("Error during login:", error.message);
@@ -125,8 +157,20 @@ const loginUser = async (req, res, next) => {
 // module.exports = { registerUser, loginUser };
 
 // Logout User
-const logoutUser = (req, res) => {
+const logoutUser = async (req, res) => {
     try {
+        // Revoke the session behind the current access token and any refresh token presented
+        if (req.sessionId) {
+            await revokeSession(req.sessionId, req.user._id);
+        }
+        const presentedToken = req.cookies?.[REFRESH_TOKEN_COOKIE] || req.body?.refreshToken;
+        if (presentedToken) {
+            const record = await RefreshToken.findOne({ tokenHash: hashToken(presentedToken), user: req.user._id });
+            if (record) {
+                await revokeSession(record.family, req.user._id);
+            }
+        }
+
         // Clear the token cookie with proper options
         res.clearCookie("token", {
             httpOnly: true,
@@ -134,6 +178,7 @@ const logoutUser = (req, res) => {
             sameSite: 'strict',
             path: '/'
         });
+        clearRefreshCookie(res);
         
         res.status(200).json({ 
             success: true,
@@ -199,20 +244,192 @@ const verifyEmail = async (req, res, next) => {
     }
 };
 
+// One-click unsubscribe from abandoned-cart reminder emails
+const unsubscribeCartReminders = async (req, res, next) => {
+    try {
+        const userId = verifyUnsubscribeToken(req.params.token);
+        const user = userId && await User.findByIdAndUpdate(userId, { cartRemindersUnsubscribed: true });
+        if (!user) {
+            return next(createError(400, 'Invalid unsubscribe link'));
+        }
+
+        res.json({ success: true, message: 'You will no longer receive cart reminder emails.' });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Refresh Token
 const refreshToken = async (req, res, next) => {
     try {
-        const refreshToken = req.headers.authorization?.split(" ")[1];
-        if (!refreshToken) return next(createError(401, "Access denied. No token provided."));
+        const fromCookie = Boolean(req.cookies?.[REFRESH_TOKEN_COOKIE]);
+        const presentedToken = req.cookies?.[REFRESH_TOKEN_COOKIE] || req.body?.refreshToken;
+        if (!presentedToken) {
+            return next(createError(401, 'Access denied. No refresh token provided.'));
+        }
+
+        const session = await rotateRefreshToken(presentedToken, req);
+
+        res.json({
+            success: true,
+            accessToken: session.accessToken,
+            ...sessionTokenPayload(res, session, fromCookie || req.body?.useCookie)
+        });
+    } catch (error) {
+        if (error.statusCode === 401) {
+            clearRefreshCookie(res);
+        }
+        next(createError(error.statusCode || 500, error.message));
+    }
+};
+
+// List active sessions (one per device/login)
+const getSessions = async (req, res, next) => {
+    try {
+        const tokens = await RefreshToken.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ updatedAt: -1 });
+
+        const sessions = tokens.map(token => ({
+            id: token.family,
+            userAgent: token.userAgent,
+            ipAddress: token.ipAddress,
+            createdAt: token.sessionStartedAt,
+            lastUsedAt: token.createdAt,
+            expiresAt: token.expiresAt,
+            current: token.family === req.sessionId
+        }));
+
+        res.status(200).json({
+            success: true,
+            data: sessions
+        });
+    } catch (error) {
+        next(createError(500, error.message));
+    }
+};
+
+// Sign out a single device session
+const revokeUserSession = async (req, res, next) => {
+    try {
+        const result = await revokeSession(req.params.sessionId, req.user._id);
+        if (result.modifiedCount === 0) {
+            return next(createError(404, 'Session not found'));
+        }
+
+        if (req.params.sessionId === req.sessionId) {
+            clearRefreshCookie(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        next(createError(500, error.message));
+    }
+};
+
+// Sign out every device except the current one
+const revokeOtherSessions = async (req, res, next) => {
+    try {
+        const result = await revokeAllSessions(req.user._id, req.sessionId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Other sessions revoked successfully',
+            data: { revoked: result.modifiedCount }
+        });
+    } catch (error) {
+        next(createError(500, error.message));
+    }
+};
+
+// Forgot Password
+const forgotPassword = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return next(createError(400, 'Email is required'));
+        }
+
+        // Same response whether or not the account exists, to avoid leaking registered emails
+        const genericResponse = {
+            success: true,
+            message: 'If an account with that email exists, a password reset link has been sent.'
+        };
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (!user) {
+            return res.status(200).json(genericResponse);
+        }
+
+        // Only the hash is stored; the raw token is sent to the user
+        const resetToken = crypto.randomBytes(32).toString('hex');
+        user.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+        user.passwordResetExpires = Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000;
+        await user.save();
+
+        try {
+            const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+            const resetLink = `${baseUrl}/reset-password/${resetToken}`;
+            await sendMail({
+                email: user.email,
+                subject: 'Reset Your Password',
+                text: `Hello ${user.name}, use this link to reset your password: ${resetLink}. It expires in ${PASSWORD_RESET_EXPIRES_MINUTES} minutes.`,
+                html: resetPasswordTemplate(resetLink, user.name, PASSWORD_RESET_EXPIRES_MINUTES),
+            });
+        } catch (error) {
+            console.error('Failed to send password reset email:', error.message);
+            user.passwordResetToken = undefined;
+            user.passwordResetExpires = undefined;
+            await user.save();
+            return next(createError(500, 'Failed to send password reset email. Please try again later.'));
+        }
+
+        res.status(200).json(genericResponse);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        next(createError(500, 'Failed to process password reset request'));
+    }
+};
+
+// Reset Password
+const resetPassword = async (req, res, next) => {
+    try {
+        const { password } = req.body;
+        if (!password || password.length < 8) {
+            return next(createError(400, 'Password must be at least 8 characters long'));
+        }
 
-        const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId);
-        if (!user) return next(createError(404, "User not found"));
+        const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+        const user = await User.findOne({
+            passwordResetToken: hashedToken,
+            passwordResetExpires: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return next(createError(400, 'Invalid or expired password reset token'));
+        }
+
+        user.password = await bcrypt.hash(password, 10);
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        user.passwordChangedAt = Date.now();
+        await user.save();
 
-        const newAccessToken = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
-        res.json({ accessToken: newAccessToken });
-    } catch {
-        next(createError(403, "Invalid or expired token"));
+        // Sign out every device that was using the old password
+        await revokeAllSessions(user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset successful. Please log in with your new password.'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        next(createError(500, 'Failed to reset password'));
     }
 };
 
@@ -223,5 +440,11 @@ module.exports = {
     logoutUser,
     getUserProfile,
     verifyEmail,
+    unsubscribeCartReminders,
     refreshToken,
+    forgotPassword,
+    resetPassword,
+    getSessions,
+    revokeUserSession,
+    revokeOtherSessions,
 };
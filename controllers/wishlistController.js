@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const Wishlist = require('../models/wishlist');
+const Cart = require('../models/cart');
+const Product = require('../models/product');
+const createError = require('../utils/error');
+const { resolveCartVariant, addToCart } = require('../services/cartService');
+const { priceCart } = require('../services/cartPricing');
+
+const MAX_WISHLISTS = 20;
+const PRODUCT_FIELDS = 'name price image images stock reserved isActive variants';
+
+const wishlistSaveError = error => {
+  if (error.code === 11000) {
+    return createError(400, 'You already have a wishlist with this name');
+  }
+  if (error.name === 'ValidationError') {
+    return createError(400, error.message);
+  }
+  return createError(error.statusCode || 500, error.statusCode ? error.message : 'Failed to update wishlist');
+};
+
+// A wishlist line with the product's current price and stock
+const formatItem = item => {
+  const product = item.product;
+  if (!product) {
+    return { _id: item._id, product: null, variant: null, inStock: false, addedAt: item.addedAt };
+  }
+
+  const variant = item.variant ? product.variants.id(item.variant) : null;
+  const active = product.isActive && (!item.variant || Boolean(variant && variant.isActive));
+  const available = active ? product.availableFor(variant) : 0;
+  return {
+    _id: item._id,
+    product: {
+      _id: product._id,
+      name: product.name,
+      image: product.image,
+      srcset: product.srcset,
+      hasVariants: product.hasVariants
+    },
+    variant: variant ? { _id: variant._id, sku: variant.sku, options: variant.options } : null,
+    price: product.priceFor(variant),
+    available,
+    inStock: available > 0,
+    addedAt: item.addedAt
+  };
+};
+
+// Share tokens are only shown to the owner
+const formatWishlist = (wishlist, { owner = true } = {}) => ({
+  _id: wishlist._id,
+  name: wishlist.name,
+  ...(owner
+    ? { shareToken: wishlist.shareToken || null }
+    : { owner: wishlist.user && wishlist.user.name ? wishlist.user.name : undefined }),
+  items: wishlist.items.map(formatItem),
+  createdAt: wishlist.createdAt,
+  updatedAt: wishlist.updatedAt
+});
+
+const findOwnWishlist = async (req, { populate = false } = {}) => {
+  const query = Wishlist.findOne({ _id: req.params.wishlistId, user: req.user._id });
+  const wishlist = await (populate ? query.populate('items.product', PRODUCT_FIELDS) : query);
+  if (!wishlist) {
+    throw createError(404, 'Wishlist not found');
+  }
+  return wishlist;
+};
+
+// List the user's wishlists
+exports.getWishlists = async (req, res, next) => {
+  try {
+    const wishlists = await Wishlist.find({ user: req.user._id })
+      .sort({ createdAt: 1 })
+      .populate('items.product', PRODUCT_FIELDS);
+
+    res.json({
+      success: true,
+      data: { wishlists: wishlists.map(wishlist => formatWishlist(wishlist)) }
+    });
+  } catch (error) {
+    next(createError(500, error.message));
+  }
+};
+
+// Create a named wishlist
+exports.createWishlist = async (req, res, next) => {
+  try {
+    const count = await Wishlist.countDocuments({ user: req.user._id });
+    if (count >= MAX_WISHLISTS) {
+      return next(createError(400, `You can have at most ${MAX_WISHLISTS} wishlists`));
+    }
+
+    const wishlist = await Wishlist.create({ user: req.user._id, name: req.body.name });
+
+    res.status(201).json({
+      success: true,
+      message: 'Wishlist created successfully',
+      data: formatWishlist(wishlist)
+    });
+  } catch (error) {
+    next(wishlistSaveError(error));
+  }
+};
+
+// Get one of the user's wishlists
+exports.getWishlist = async (req, res, next) => {
+  try {
+    const wishlist = await findOwnWishlist(req, { populate: true });
+
+    res.json({
+      success: true,
+      data: formatWishlist(wishlist)
+    });
+  } catch (error) {
+    next(createError(error.statusCode || 500, error.message));
+  }
+};
+
+// Rename a wishlist
+exports.renameWishlist = async (req, res, next) => {
+  try {
+    const wishlist = await findOwnWishlist(req);
+    wishlist.name = req.body.name;
+    await wishlist.save();
+    await wishlist.populate('items.product', PRODUCT_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Wishlist renamed successfully',
+      data: formatWishlist(wishlist)
+    });
+  } catch (error) {
+    next(wishlistSaveError(error));
+  }
+};
+
+// Delete a wishlist
+exports.deleteWishlist = async (req, res, next) => {
+  try {
+    const wishlist = await Wishlist.findOneAndDelete({ _id: req.params.wishlistId, user: req.user._id });
+    if (!wishlist) {
+      return next(createError(404, 'Wishlist not found'));
+    }
+
+    res.json({
+      success: true,
+      message: 'Wishlist deleted successfully'
+    });
+  } catch (error) {
+    next(createError(500, error.message));
+  }
+};
+
+// Save a product, or one of its variants, to a wishlist
+exports.addItem = async (req, res, next) => {
+  try {
+    const { productId, variantId } = req.body;
+    const wishlist = await findOwnWishlist(req);
+
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+      return next(createError(404, 'Product not found'));
+    }
+    if (variantId && !product.variants.id(variantId)) {
+      return next(createError(404, 'Variant not found'));
+    }
+
+    const saved = wishlist.items.some(item =>
+      item.product.toString() === productId &&
+      (item.variant ? item.variant.toString() : undefined) === (variantId || undefined)
+    );
+    if (!saved) {
+      wishlist.items.push({ product: product._id, variant: variantId });
+      await wishlist.save();
+    }
+    await wishlist.populate('items.product', PRODUCT_FIELDS);
+
+    res.status(saved ? 200 : 201).json({
+      success: true,
+      message: saved ? 'Product is already in this wishlist' : 'Product added to wishlist',
+      data: formatWishlist(wishlist)
+    });
+  } catch (error) {
+    next(wishlistSaveError(error));
+  }
+};
+
+// Remove a line from a wishlist
+exports.removeItem = async (req, res, next) => {
+  try {
+    const wishlist = await findOwnWishlist(req);
+    const item = wishlist.items.id(req.params.itemId);
+    if (!item) {
+      return next(createError(404, 'Item not in wishlist'));
+    }
+
+    item.deleteOne();
+    await wishlist.save();
+    await wishlist.populate('items.product', PRODUCT_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Product removed from wishlist',
+      data: formatWishlist(wishlist)
+    });
+  } catch (error) {
+    next(wishlistSaveError(error));
+  }
+};
+
+// Move a wishlist line to the cart. Lines saved without a variant need one
+// chosen now, for products that have variants.
+exports.moveToCart = async (req, res, next) => {
+  try {
+    const wishlist = await findOwnWishlist(req);
+    const item = wishlist.items.id(req.params.itemId);
+    if (!item) {
+      return next(createError(404, 'Item not in wishlist'));
+    }
+
+    const product = await Product.findById(item.product);
+    if (!product) {
+      return next(createError(404, 'Product not found'));
+    }
+    const variant = resolveCartVariant(product, req.body.variantId || (item.variant && item.variant.toString()));
+
+    const cart = await Cart.findOneAndUpdate(
+      { user: req.user._id },
+      { $setOnInsert: { user: req.user._id, items: [] } },
+      { new: true, upsert: true }
+    );
+    addToCart(cart, product, variant, req.body.quantity || 1);
+    await cart.save();
+
+    item.deleteOne();
+    await wishlist.save();
+
+    await cart.populate('items.product');
+    await wishlist.populate('items.product', PRODUCT_FIELDS);
+    const pricing = await priceCart(cart, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Product moved to cart',
+      data: {
+        wishlist: formatWishlist(wishlist),
+        cart,
+        pricing
+      }
+    });
+  } catch (error) {
+    next(wishlistSaveError(error));
+  }
+};
+
+// Create (or replace) the public share token of a wishlist
+exports.shareWishlist = async (req, res, next) => {
+  try {
+    const wishlist = await findOwnWishlist(req);
+    wishlist.shareToken = crypto.randomBytes(24).toString('base64url');
+    await wishlist.save();
+
+    res.json({
+      success: true,
+      message: 'Share link created',
+      data: { shareToken: wishlist.shareToken }
+    });
+  } catch (error) {
+    next(wishlistSaveError(error));
+  }
+};
+
+// Stop sharing a wishlist; existing links stop working
+exports.unshareWishlist = async (req, res, next) => {
+  try {
+    const wishlist = await findOwnWishlist(req);
+    wishlist.shareToken = undefined;
+    await wishlist.save();
+
+    res.json({
+      success: true,
+      message: 'Wishlist is no longer shared'
+    });
+  } catch (error) {
+    next(wishlistSaveError(error));
+  }
+};
+
+// Read-only view of a shared wishlist; no login needed
+exports.getSharedWishlist = async (req, res, next) => {
+  try {
+    const wishlist = await Wishlist.findOne({ shareToken: req.params.token })
+      .populate('user', 'name')
+      .populate('items.product', PRODUCT_FIELDS);
+    if (!wishlist) {
+      return next(createError(404, 'Wishlist not found'));
+    }
+
+    res.json({
+      success: true,
+      data: formatWishlist(wishlist, { owner: false })
+    });
+  } catch (error) {
+    next(createError(500, error.message));
+  }
+};
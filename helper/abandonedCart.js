@@ -0,0 +1,128 @@
+const { escapeHtml } = require('../utils/html');
+
+const html = ({ name, items, cartUrl, discount, unsubscribeUrl }) => {
+    const rows = items.map(item => `
+                    <tr>
+                        <td>${escapeHtml(item.name)}</td>
+                        <td>${escapeHtml(item.quantity)}</td>
+                        <td>${item.price.toFixed(2)}</td>
+                    </tr>`).join('');
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your Cart</title>
+        <style>
+            body {
+                font-family: Arial, sans-serif;
+                line-height: 1.6;
+                color: #2D3748;
+                background-color: #F7FAFC;
+                margin: 0;
+                padding: 0;
+            }
+            .container {
+                width: 80%;
+                max-width: 600px;
+                margin: 30px auto;
+                padding: 20px;
+                background-color: #FFFFFF;
+                border-radius: 8px;
+                box-shadow: 0 4px 10px rgba(0, 0, 0, 0.1);
+            }
+            .header {
+                background: #2C5282;
+                padding: 20px;
+                text-align: center;
+                color: #FFFFFF;
+                font-size: 22px;
+                font-weight: bold;
+                border-radius: 8px 8px 0 0;
+            }
+            .content {
+                padding: 25px;
+                text-align: center;
+            }
+            .items {
+                width: 100%;
+                border-collapse: collapse;
+                margin: 20px 0;
+                text-align: left;
+            }
+            .items th, .items td {
+                padding: 8px;
+                border-bottom: 1px solid #E2E8F0;
+            }
+            .discount {
+                margin: 20px 0;
+                padding: 15px;
+                background-color: #F0FFF4;
+                border: 1px dashed #38A169;
+                border-radius: 5px;
+            }
+            .button-container {
+                margin: 20px 0;
+            }
+            .button {
+                display: inline-block;
+                background-color: #38A169;
+                color: #FFFFFF;
+                padding: 12px 25px;
+                font-size: 18px;
+                font-weight: bold;
+                text-decoration: none;
+                border-radius: 5px;
+                transition: background-color 0.3s ease;
+            }
+            .button:hover {
+                background-color: #2F855A;
+            }
+            .footer {
+                margin-top: 20px;
+                padding: 10px;
+                text-align: center;
+                font-size: 14px;
+                color: #718096;
+            }
+        </style>
+    </head>
+    <body>
+
+        <div class="container">
+            <div class="header">
+                You Left Something Behind
+            </div>
+            <div class="content">
+                <p>Hello ${escapeHtml(name)},</p>
+                <p>These items are still waiting in your cart. Stock is not held for you, so they may sell out.</p>
+                <table class="items">
+                    <tr>
+                        <th>Product</th>
+                        <th>Quantity</th>
+                        <th>Price</th>
+                    </tr>${rows}
+                </table>
+                ${discount ? `<div class="discount">
+                    Use code <strong>${escapeHtml(discount.code)}</strong> for ${discount.percent}% off your order.
+                    It can be used once and expires on ${discount.expiresAt.toDateString()}.
+                </div>` : ''}
+                <div class="button-container">
+                    <a href="${escapeHtml(cartUrl)}" class="button">Return to Your Cart</a>
+                </div>
+                <p>Best regards,<br>Team</p>
+            </div>
+            <div class="footer">
+                <p><a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe from cart reminders</a></p>
+                &copy; ${new Date().getFullYear()} Our Platform. All rights reserved.
+            </div>
+        </div>
+
+    </body>
+    </html>
+    `;
+};
+
+module.exports = html;
@@ -0,0 +1,127 @@
+const { escapeHtml } = require('../utils/html');
+
+const html = (order, firstName, refundPending) => {
+    const rows = order.items.map(item => `
+                    <tr>
+                        <td>${item.product && item.product.name ? escapeHtml(item.product.name) : 'Item'}</td>
+                        <td>${item.quantity}</td>
+                        <td>${(item.price * item.quantity).toFixed(2)}</td>
+                    </tr>`).join('');
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Order Cancelled</title>
+        <style>
+            body {
+                font-family: Arial, sans-serif;
+                line-height: 1.6;
+                color: #2D3748;
+                background-color: #F7FAFC;
+                margin: 0;
+                padding: 0;
+            }
+            .container {
+                width: 80%;
+                max-width: 600px;
+                margin: 30px auto;
+                padding: 20px;
+                background-color: #FFFFFF;
+                border-radius: 8px;
+                box-shadow: 0 4px 10px rgba(0, 0, 0, 0.1);
+            }
+            .header {
+                background: #2C5282;
+                padding: 20px;
+                text-align: center;
+                color: #FFFFFF;
+                font-size: 22px;
+                font-weight: bold;
+                border-radius: 8px 8px 0 0;
+            }
+            .content {
+                padding: 25px;
+                text-align: center;
+            }
+            .button-container {
+                margin: 20px 0;
+            }
+            .button {
+                display: inline-block;
+                background-color: #38A169;
+                color: #FFFFFF;
+                padding: 12px 25px;
+                font-size: 18px;
+                font-weight: bold;
+                text-decoration: none;
+                border-radius: 5px;
+                transition: background-color 0.3s ease;
+            }
+            .button:hover {
+                background-color: #2F855A;
+            }
+            .footer {
+                margin-top: 20px;
+                padding: 10px;
+                text-align: center;
+                font-size: 14px;
+                color: #718096;
+            }
+            .link {
+                color: #2C5282;
+                font-weight: bold;
+                text-decoration: none;
+            }
+            .link:hover {
+                text-decoration: underline;
+            }
+            .items {
+                width: 100%;
+                border-collapse: collapse;
+                margin: 20px 0;
+                text-align: left;
+            }
+            .items th, .items td {
+                padding: 8px;
+                border-bottom: 1px solid #E2E8F0;
+            }
+        </style>
+    </head>
+    <body>
+
+        <div class="container">
+            <div class="header">
+                Your Order Has Been Cancelled
+            </div>
+            <div class="content">
+                <p>Hello ${escapeHtml(firstName)},</p>
+                <p>Your order <strong>${order.orderNumber}</strong> has been cancelled.</p>
+                <table class="items">
+                    <tr>
+                        <th>Product</th>
+                        <th>Qty</th>
+                        <th>Amount</th>
+                    </tr>${rows}
+                    <tr>
+                        <td colspan="2"><strong>Total</strong></td>
+                        <td><strong>${order.totalAmount.toFixed(2)}</strong></td>
+                    </tr>
+                </table>
+                ${refundPending ? '<p>Your payment will be refunded to your original payment method.</p>' : ''}
+                <p>If you did not request this cancellation, please contact our support team.</p>
+                <p>Best regards,<br>Team</p>
+            </div>
+            <div class="footer">
+                &copy; ${new Date().getFullYear()} Our Platform. All rights reserved.
+            </div>
+        </div>
+
+    </body>
+    </html>
+    `;
+};
+
+module.exports = html;
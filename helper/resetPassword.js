@@ -0,0 +1,102 @@
+const html = (resetLink, firstName, expiresInMinutes) => {
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Password Reset</title>
+        <style>
+            body {
+                font-family: Arial, sans-serif;
+                line-height: 1.6;
+                color: #2D3748;
+                background-color: #F7FAFC;
+                margin: 0;
+                padding: 0;
+            }
+            .container {
+                width: 80%;
+                max-width: 600px;
+                margin: 30px auto;
+                padding: 20px;
+                background-color: #FFFFFF;
+                border-radius: 8px;
+                box-shadow: 0 4px 10px rgba(0, 0, 0, 0.1);
+            }
+            .header {
+                background: #2C5282;
+                padding: 20px;
+                text-align: center;
+                color: #FFFFFF;
+                font-size: 22px;
+                font-weight: bold;
+                border-radius: 8px 8px 0 0;
+            }
+            .content {
+                padding: 25px;
+                text-align: center;
+            }
+            .button-container {
+                margin: 20px 0;
+            }
+            .button {
+                display: inline-block;
+                background-color: #38A169;
+                color: #FFFFFF;
+                padding: 12px 25px;
+                font-size: 18px;
+                font-weight: bold;
+                text-decoration: none;
+                border-radius: 5px;
+                transition: background-color 0.3s ease;
+            }
+            .button:hover {
+                background-color: #2F855A;
+            }
+            .footer {
+                margin-top: 20px;
+                padding: 10px;
+                text-align: center;
+                font-size: 14px;
+                color: #718096;
+            }
+            .link {
+                color: #2C5282;
+                font-weight: bold;
+                text-decoration: none;
+            }
+            .link:hover {
+                text-decoration: underline;
+            }
+        </style>
+    </head>
+    <body>
+
+        <div class="container">
+            <div class="header">
+                Reset Your Password
+            </div>
+            <div class="content">
+                <p>Hello ${firstName},</p>
+                <p>We received a request to reset the password for your account. Click the button below to choose a new password:</p>
+                <div class="button-container">
+                    <a href="${resetLink}" class="button">Reset My Password</a>
+                </div>
+                <p>If the button above doesn't work, you can also reset your password by clicking this link:</p>
+                <p><a href="${resetLink}" class="link">${resetLink}</a></p>
+                <p>This link will expire in ${expiresInMinutes} minutes and can only be used once.</p>
+                <p>If you did not request a password reset, please ignore this email. Your password will not change.</p>
+                <p>Best regards,<br>Team</p>
+            </div>
+            <div class="footer">
+                &copy; ${new Date().getFullYear()} Our Platform. All rights reserved.
+            </div>
+        </div>
+
+    </body>
+    </html>
+    `;
+};
+
+module.exports = html;
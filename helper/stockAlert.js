@@ -0,0 +1,104 @@
+const { escapeHtml } = require('../utils/html');
+
+const LEVEL_LABELS = {
+    low_stock: 'Low stock',
+    out_of_stock: 'Out of stock'
+};
+
+const html = (alerts, firstName) => {
+    const rows = alerts.map(alert => `
+                    <tr>
+                        <td>${escapeHtml(alert.name)}${alert.sku ? ` (${escapeHtml(alert.sku)})` : ''}</td>
+                        <td>${LEVEL_LABELS[alert.level]}</td>
+                        <td>${alert.available}</td>
+                        <td>${alert.threshold}</td>
+                    </tr>`).join('');
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Stock Alert</title>
+        <style>
+            body {
+                font-family: Arial, sans-serif;
+                line-height: 1.6;
+                color: #2D3748;
+                background-color: #F7FAFC;
+                margin: 0;
+                padding: 0;
+            }
+            .container {
+                width: 80%;
+                max-width: 600px;
+                margin: 30px auto;
+                padding: 20px;
+                background-color: #FFFFFF;
+                border-radius: 8px;
+                box-shadow: 0 4px 10px rgba(0, 0, 0, 0.1);
+            }
+            .header {
+                background: #C05621;
+                padding: 20px;
+                text-align: center;
+                color: #FFFFFF;
+                font-size: 22px;
+                font-weight: bold;
+                border-radius: 8px 8px 0 0;
+            }
+            .content {
+                padding: 25px;
+                text-align: center;
+            }
+            .footer {
+                margin-top: 20px;
+                padding: 10px;
+                text-align: center;
+                font-size: 14px;
+                color: #718096;
+            }
+            .items {
+                width: 100%;
+                border-collapse: collapse;
+                margin: 20px 0;
+                text-align: left;
+            }
+            .items th, .items td {
+                padding: 8px;
+                border-bottom: 1px solid #E2E8F0;
+            }
+        </style>
+    </head>
+    <body>
+
+        <div class="container">
+            <div class="header">
+                Stock Alert
+            </div>
+            <div class="content">
+                <p>Hello ${escapeHtml(firstName)},</p>
+                <p>The following products have reached their low-stock threshold.</p>
+                <table class="items">
+                    <tr>
+                        <th>Product</th>
+                        <th>Status</th>
+                        <th>Available</th>
+                        <th>Threshold</th>
+                    </tr>${rows}
+                </table>
+                <p>Restock them or adjust their thresholds in the admin catalogue.</p>
+                <p>Best regards,<br>Team</p>
+            </div>
+            <div class="footer">
+                &copy; ${new Date().getFullYear()} Our Platform. All rights reserved.
+            </div>
+        </div>
+
+    </body>
+    </html>
+    `;
+};
+
+module.exports = html;
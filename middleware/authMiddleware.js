@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user');  
+const { AppError } = require('./errorHandler');
+const { hasPermission } = require('../utils/permissions');
+const { isSessionActive } = require('../utils/tokens');
 
 exports.authMiddleware = async (req, res, next) => {
   try {
@@ -47,8 +50,19 @@ exports.authMiddleware = async (req, res, next) => {
       return res.status(401).json({ error: 'User not found' });
     }
 
+    // Reject tokens issued before the last password change
+    if (foundUser.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ error: 'Password was recently changed. Please log in again.' });
+    }
+
+    // Reject tokens whose device session has been signed out
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: 'Session has been revoked. Please log in again.' });
+    }
+
     // Attach user to the request object
     req.user = foundUser;
+    req.sessionId = decoded.sid;
 
     // Proceed to the next middleware or route handler
     next();
@@ -57,3 +71,29 @@ exports.authMiddleware = async (req, res, next) => {
     return res.status(500).json({ error: 'Internal server error' });
   }
 };
+
+// Authenticate when a bearer token is sent and carry on as a guest when it
+// is not. An invalid token is still rejected.
+exports.optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return exports.authMiddleware(req, res, next);
+};
+
+// Restrict a route to users holding every listed permission.
+// Must run after authMiddleware so that req.user is populated.
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const allowed = permissions.every(permission => hasPermission(req.user, permission));
+    if (!allowed) {
+      return next(new AppError('You do not have permission to perform this action', 403));
+    }
+
+    next();
+  };
+};
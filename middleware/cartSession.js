@@ -0,0 +1,33 @@
+const { readCartToken, clearCartToken } = require('../utils/cartToken');
+const { mergeGuestCart } = require('../services/cartService');
+
+// Work out which cart a request is about: the signed-in user's, or the guest
+// cart named by the cart token. Must run after optionalAuth.
+exports.cartSession = (req, res, next) => {
+  if (req.user) {
+    req.cartOwner = { filter: { user: req.user._id }, userId: req.user._id };
+    return next();
+  }
+
+  // A guest cart stops answering to its token once it has been merged
+  const cartId = readCartToken(req);
+  req.cartOwner = { filter: cartId ? { _id: cartId, user: null } : null, guest: true };
+  next();
+};
+
+// Merge the guest cart, if the request carries one, into the user's cart once
+// they have logged in or registered. A failed merge never blocks the login.
+exports.mergeGuestCartOnLogin = async (req, res, userId) => {
+  const cartId = readCartToken(req);
+  if (!cartId) {
+    return undefined;
+  }
+
+  clearCartToken(res);
+  try {
+    return (await mergeGuestCart(cartId, userId)) || undefined;
+  } catch (error) {
+    console.error('Failed to merge guest cart:', error.message);
+    return undefined;
+  }
+};
@@ -26,6 +26,9 @@ const handleValidationErrorDB = err => {
   return new AppError(message, 400);
 };
 
+// Upload limits, e.g. too many gallery images or a file over the size limit
+const handleMulterError = err => new AppError(err.message, 400);
+
 const handleJWTError = () =>
   new AppError('Invalid token. Please log in again!', 401);
 
@@ -69,6 +72,9 @@ module.exports = (err, req, res, next) => {
     if (error.name === 'CastError') error = handleCastErrorDB(error);
     if (error.code === 11000) error = handleDuplicateFieldsDB(error);
     if (error.name === 'ValidationError') error = handleValidationErrorDB(error);
+    if (error.name === 'MulterError') {
+      error = handleMulterError(error);
+    }
     if (error.name === 'JsonWebTokenError') error = handleJWTError();
     if (error.name === 'TokenExpiredError') error = handleJWTExpiredError();
 
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey');
+const { AppError } = require('./errorHandler');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+// A key still processing after this long belongs to a request that crashed or
+// hung, and is handed to the next retry
+const PROCESSING_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS) || 120;
+
+const fingerprintRequest = req =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+// Make order- and payment-creating routes safe to retry. When the client sends
+// an Idempotency-Key header, the first response is stored and replayed for
+// retries with the same key; reusing the key for a different request is a 422.
+// Must run after authMiddleware: keys are scoped per user.
+exports.idempotency = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return next(new AppError(`${IDEMPOTENCY_HEADER} cannot exceed ${MAX_KEY_LENGTH} characters`, 400));
+  }
+
+  const fingerprint = fingerprintRequest(req);
+
+  try {
+    const record = await IdempotencyKey.create({
+      key,
+      user: req.user._id,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      fingerprint,
+      expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    // Handlers and errorHandler respond with res.json; a response sent any
+    // other way is not stored, and the key is released so it can be retried
+    let stored = false;
+    res.on('finish', () => {
+      if (!stored) {
+        IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' })
+          .catch(error => console.error('Failed to release idempotency key:', error.message));
+      }
+    });
+
+    const originalJson = res.json.bind(res);
+    res.json = body => {
+      stored = true;
+      // Server errors are not stored so the client can retry with the same key
+      const saved = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            // Plain JSON copy, so documents are stored exactly as the client saw them
+            responseBody: JSON.parse(JSON.stringify(body))
+          }
+        );
+      saved
+        .catch(error => console.error('Failed to store idempotent response:', error.message))
+        .finally(() => originalJson(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+
+    try {
+      const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+      if (!existing) {
+        return next(new AppError('Idempotency key expired. Please retry.', 409));
+      }
+
+      if (existing.fingerprint !== fingerprint) {
+        return next(new AppError(`${IDEMPOTENCY_HEADER} has already been used for a different request`, 422));
+      }
+
+      if (existing.status !== 'completed') {
+        const stale = existing.createdAt <= new Date(Date.now() - PROCESSING_TIMEOUT_SECONDS * 1000);
+        const released = stale &&
+          (await IdempotencyKey.deleteOne({ _id: existing._id, status: 'processing' })).deletedCount > 0;
+        if (released) {
+          return exports.idempotency(req, res, next);
+        }
+        return next(new AppError(`A request with this ${IDEMPOTENCY_HEADER} is still being processed`, 409));
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      res.status(existing.responseStatus).json(existing.responseBody);
+    } catch (lookupError) {
+      next(lookupError);
+    }
+  }
+};
@@ -18,6 +18,16 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Refresh limiter: clients refresh routinely, so only failed attempts count
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Limit each IP to 20 failed refreshes per windowMs
+  skipSuccessfulRequests: true,
+  message: 'Too many failed refresh attempts, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 const registrationLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour window
   max: 5, // limit each IP to 5 registration attempts per hour
@@ -33,5 +43,6 @@ const registrationLimiter = rateLimit({
 module.exports = {
   basicLimiter,
   authLimiter,
+  refreshLimiter,
   registrationLimiter
 }; 
\ No newline at end of file
@@ -0,0 +1,21 @@
+const fs = require('fs');
+const { readImageType } = require('../services/imagePipeline');
+const { AppError } = require('./errorHandler');
+
+// multer only checks the declared mimetype. Run after it to check that every
+// uploaded file really is a JPEG, PNG, GIF or WebP image.
+exports.verifyImageUploads = async (req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+
+  try {
+    const types = await Promise.all(files.map(file => readImageType(file.path)));
+    if (types.every(Boolean)) {
+      return next();
+    }
+
+    files.forEach(file => fs.unlink(file.path, () => {}));
+    next(new AppError('Only JPEG, PNG, GIF and WebP images are allowed', 400));
+  } catch (error) {
+    next(error);
+  }
+};
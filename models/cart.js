@@ -1,14 +1,45 @@
-
 const mongoose = require('mongoose');
+const { guestCartExpiry } = require('../utils/cartToken');
 
 const cartItemSchema = new mongoose.Schema({
   product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  // _id of one of the product's variants, for products that have them
+  variant: { type: mongoose.Schema.Types.ObjectId },
   quantity: { type: Number, default: 1 },
+  // Unit price when the line was added, to tell the shopper about price changes
+  priceWhenAdded: { type: Number },
 });
 
 const cartSchema = new mongoose.Schema({
-  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Unset for guest carts, which are found through a signed cart token
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'user' },
   items: [cartItemSchema],
+  // Lines parked by the shopper; not priced, discounted or checked out
+  savedForLater: [cartItemSchema],
+  // Applied discount code, re-validated whenever the cart is priced
+  discountCode: { type: String, uppercase: true, trim: true },
+  // Guest carts only; pushed back on every change, then removed by MongoDB
+  expiresAt: { type: Date },
+  // Abandoned-cart reminders sent since the shopper last touched the cart.
+  // The reminder job updates these without changing updatedAt.
+  remindersSent: { type: Number, default: 0 },
+  lastReminderAt: { type: Date },
+}, {
+  timestamps: true,
+});
+
+// Changing the cart's lines is shopper activity, which starts the reminder
+// sequence over
+cartSchema.pre('save', function(next) {
+  this.expiresAt = this.user ? undefined : guestCartExpiry();
+  if (this.isModified('items')) {
+    this.remindersSent = 0;
+  }
+  next();
 });
 
+cartSchema.index({ user: 1 });
+cartSchema.index({ remindersSent: 1, updatedAt: 1 });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 module.exports = mongoose.model('Cart', cartSchema);
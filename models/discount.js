@@ -1,11 +1,67 @@
 const mongoose = require('mongoose');
 
 const discountSchema = new mongoose.Schema({
-  code: { type: String, required: true, unique: true },  
-  discountType: { type: String, enum: ['fixed', 'percentage'], required: true },
-  amount: { type: Number, required: true },  
-  expiresAt: { type: Date, required: true }, 
-  isActive: { type: Boolean, default: true } 
+  // Stored upper-case so codes are unique and matched case-insensitively
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, trim: true },
+  discountType: { type: String, enum: ['fixed', 'percentage', 'buy_x_get_y'], required: true },
+  // Fixed amount off, or percentage off; unused for buy_x_get_y
+  amount: {
+    type: Number,
+    min: 0,
+    required: function() {
+      return this.discountType !== 'buy_x_get_y';
+    },
+    // Checked on the document, so updates that change only one of amount
+    // and discountType are caught too
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage discounts cannot exceed 100'
+    }
+  },
+  // Buy-X-get-Y: for every buyQuantity eligible units, the cheapest getQuantity
+  // further units are discounted by getDiscountPercent (100 = free)
+  buyQuantity: {
+    type: Number,
+    min: 1,
+    required: function() {
+      return this.discountType === 'buy_x_get_y';
+    }
+  },
+  getQuantity: {
+    type: Number,
+    min: 1,
+    required: function() {
+      return this.discountType === 'buy_x_get_y';
+    }
+  },
+  getDiscountPercent: { type: Number, min: 0, max: 100, default: 100 },
+  minSubtotal: { type: Number, min: 0, default: 0 },
+  maxDiscountAmount: { type: Number, min: 0, default: null },
+  usageLimit: { type: Number, min: 1, default: null },
+  perUserLimit: { type: Number, min: 1, default: null },
+  firstOrderOnly: { type: Boolean, default: false },
+  // Only this user can redeem the code, e.g. one sent in a cart reminder
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'user', default: null },
+  // Restrict the discount to these products and/or categories (including their
+  // subcategories). Both empty means the whole cart is eligible.
+  appliesTo: {
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }]
+  },
+  startsAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true },
+  isActive: { type: Boolean, default: true },
+  usageCount: { type: Number, default: 0, min: 0 }
+}, {
+  timestamps: true
 });
 
+// Normalise a code entered by a shopper or admin for lookups
+discountSchema.statics.normaliseCode = function(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : code;
+};
+
 module.exports = mongoose.model('Discount', discountSchema);
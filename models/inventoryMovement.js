@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One document per change to a product's (or variant's) stock level
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set for products with variants; stock is tracked per variant
+  variant: mongoose.Schema.Types.ObjectId,
+  sku: String,
+  type: {
+    type: String,
+    enum: ['sale', 'cancellation', 'return', 'adjustment', 'import'],
+    required: true
+  },
+  // Signed change, e.g. -2 for a sale of two units
+  quantity: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: value => Number.isInteger(value) && value !== 0,
+      message: 'Quantity must be a non-zero whole number'
+    }
+  },
+  // Stock level of the product or variant right after the change
+  stockAfter: {
+    type: Number,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
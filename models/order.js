@@ -3,7 +3,7 @@
 const orderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
+    ref: 'user',
     required: true
   },
   items: [{
@@ -12,6 +12,13 @@ const orderSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Variant ordered, with its SKU and options copied in case it changes later
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    options: {
+      type: Map,
+      of: String
+    },
     quantity: {
       type: Number,
       required: true,
@@ -21,8 +28,31 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: 0
+    },
+    // This line's share of the order discount
+    discount: {
+      type: Number,
+      min: 0,
+      default: 0
     }
   }],
+  subtotal: {
+    type: Number,
+    min: 0
+  },
+  discount: {
+    code: String,
+    discountType: {
+      type: String,
+      enum: ['fixed', 'percentage', 'buy_x_get_y']
+    },
+    value: Number,
+    amount: {
+      type: Number,
+      min: 0,
+      default: 0
+    }
+  },
   totalAmount: {
     type: Number,
     required: true,
@@ -62,7 +92,7 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed'],
+    enum: ['pending', 'paid', 'failed', 'refund_pending', 'refunded'],
     default: 'pending'
   },
   orderStatus: {
@@ -70,6 +100,28 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    from: {
+      type: String,
+      default: null
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user'
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   orderNumber: {
     type: String,
     unique: true,
@@ -78,13 +130,16 @@ const orderSchema = new mongoose.Schema({
   notes: {
     type: String,
     trim: true
-  }
+  },
+  // Set while the order's stock is reserved rather than sold: unpaid orders
+  // are cancelled and their reservations released after this time
+  reservationExpiresAt: Date
 }, {
   timestamps: true
 });
 
-// Generate order number before saving
-orderSchema.pre('save', function(next) {
+// Generate order number before validation so the required check passes
+orderSchema.pre('validate', function(next) {
   if (!this.orderNumber) {
     this.orderNumber = 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9).toUpperCase();
   }
@@ -94,5 +149,6 @@ orderSchema.pre('save', function(next) {
 // Index for better query performance (removed duplicate orderNumber index)
 orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ orderStatus: 1 });
+orderSchema.index({ reservationExpiresAt: 1 }, { sparse: true });
 
 module.exports = mongoose.model('Order', orderSchema);
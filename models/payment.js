@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One document per attempt to collect (or refund) money for an order
+const paymentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  providerPaymentId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'refunded'],
+    default: 'pending'
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  refundedAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  events: [{
+    type: {
+      type: String,
+      required: true
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+paymentSchema.index({ order: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -1,6 +1,142 @@
 const mongoose = require('mongoose');
 
+// Option axis such as size or colour, with the values variants may use
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true,
+    lowercase: true
+  },
+  values: {
+    type: [{ type: String, trim: true }],
+    validate: {
+      validator: values => values.length > 0,
+      message: 'Option must have at least one value'
+    }
+  }
+}, { _id: false });
+
+const MAX_GALLERY_IMAGES = 10;
+
+// Resized copy of a gallery image, in the original format or WebP
+const renditionSchema = new mongoose.Schema({
+  name: String,
+  format: String,
+  width: Number,
+  url: String,
+  // Only set when the rendition is a stored file rather than a transformation URL
+  key: String
+}, { _id: false });
+
+// Gallery image. Array order is display order; position mirrors it for clients.
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required']
+  },
+  // Storage backend and key, used to delete the asset when the image is removed
+  storage: String,
+  key: String,
+  width: Number,
+  height: Number,
+  renditions: [renditionSchema],
+  alt: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// srcset strings per format, e.g. { jpeg: 'a.jpg 150w, b.jpg 600w', webp: '...' }
+imageSchema.virtual('srcset').get(function() {
+  return (this.renditions || []).reduce((srcset, rendition) => {
+    const entry = `${rendition.url} ${rendition.width}w`;
+    srcset[rendition.format] = srcset[rendition.format] ? `${srcset[rendition.format]}, ${entry}` : entry;
+    return srcset;
+  }, {});
+});
+
+// A variant's single image; storage and key let the asset be deleted when it
+// is replaced
+const variantImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required']
+  },
+  storage: String,
+  key: String
+}, { _id: false });
+
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true
+  },
+  // One value per option axis, e.g. { size: 'L', colour: 'Navy' }
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Stock must be a whole number'
+    }
+  },
+  // Units held by unpaid checkouts; see services/reservationService.js
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative']
+  },
+  image: variantImageSchema,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Stock that can still be added to carts and checked out
+const availableStock = function() {
+  return Math.max(0, this.stock - (this.reserved || 0));
+};
+
+variantSchema.virtual('available').get(availableStock);
+
 const productSchema = new mongoose.Schema({
+  // Catalogue identifier used by bulk import and export
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   name: { 
     type: String, 
     required: [true, 'Product name is required'],
@@ -29,10 +165,18 @@ const productSchema = new mongoose.Schema({
     ref: 'Category',
     required: [true, 'Product category is required']
   },
+  // URL of the primary gallery image, kept for clients that show a single image
   image: { 
     type: String,
     required: [true, 'Product image is required']
   },
+  images: {
+    type: [imageSchema],
+    validate: {
+      validator: images => images.length <= MAX_GALLERY_IMAGES,
+      message: `A product can have at most ${MAX_GALLERY_IMAGES} images`
+    }
+  },
   stock: { 
     type: Number, 
     default: 0,
@@ -42,10 +186,28 @@ const productSchema = new mongoose.Schema({
       message: 'Stock must be a whole number'
     }
   },
+  // Units held by unpaid checkouts, across all variants for products that have them
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative']
+  },
+  // Alert admins when available stock (per variant, for products with
+  // variants) falls to this level; LOW_STOCK_THRESHOLD applies when unset
+  lowStockThreshold: {
+    type: Number,
+    min: [0, 'Low-stock threshold cannot be negative'],
+    validate: {
+      validator: value => value === null || value === undefined || Number.isInteger(value),
+      message: 'Low-stock threshold must be a whole number'
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  options: [optionSchema],
+  variants: [variantSchema],
   ratings: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -85,12 +247,60 @@ productSchema.index({ name: 'text', description: 'text' });
 productSchema.index({ category: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ isActive: 1 });
+productSchema.index({ sku: 1 }, { unique: true, sparse: true });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
 
 // Virtual for URL-friendly slug
 productSchema.virtual('slug').get(function() {
   return this.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
 });
 
+// srcset map of the primary image, for listings that show one image
+productSchema.virtual('srcset').get(function() {
+  const primary = (this.images || []).find(image => image.isPrimary);
+  return primary ? primary.srcset : {};
+});
+
+productSchema.virtual('available').get(availableStock);
+
+productSchema.virtual('hasVariants').get(function() {
+  return Array.isArray(this.variants) && this.variants.length > 0;
+});
+
+// Unit price for a variant of this product, or the product itself
+productSchema.methods.priceFor = function(variant) {
+  return variant && variant.price !== undefined && variant.price !== null ? variant.price : this.price;
+};
+
+// Stock available for a variant of this product, or the product itself
+productSchema.methods.availableFor = function(variant) {
+  return (variant || this).available;
+};
+
+// Name for emails and reports, e.g. "Classic Tee (size: L, colour: Navy)"
+productSchema.methods.displayName = function(variant) {
+  if (!variant) {
+    return this.name;
+  }
+  const options = Array.from(variant.options.entries()).map(([name, value]) => `${name}: ${value}`);
+  return `${this.name} (${options.join(', ')})`;
+};
+
+// Give products saved before galleries existed their single image as the
+// first gallery entry, so gallery edits keep it
+productSchema.methods.ensureGallery = function() {
+  if (this.images.length === 0 && this.image) {
+    this.images.push({ url: this.image, isPrimary: true });
+  }
+  return this.images;
+};
+
+productSchema.methods.setPrimaryImage = function(imageId) {
+  this.images.forEach(image => {
+    image.isPrimary = image._id.toString() === imageId.toString();
+  });
+};
+
 // Method to calculate average rating
 productSchema.methods.calculateAverageRating = function() {
   if (this.ratings.length === 0) {
@@ -103,6 +313,73 @@ productSchema.methods.calculateAverageRating = function() {
   return this.save();
 };
 
+// Keep gallery positions in array order, exactly one primary image, and
+// image pointing at it
+productSchema.pre('validate', function(next) {
+  this.ensureGallery();
+  if (this.images.length === 0) {
+    return next();
+  }
+
+  const primary = this.images.find(image => image.isPrimary) || this.images[0];
+  this.images.forEach((image, index) => {
+    image.position = index;
+    image.isPrimary = image === primary;
+  });
+  this.image = primary.url;
+  next();
+});
+
+// Returns why the variants do not fit the option axes, or null when they do
+const findVariantProblem = (options, variants) => {
+  const axes = new Map(options.map(option => [option.name, option.values]));
+  const skus = new Set();
+  const combinations = new Set();
+
+  for (const variant of variants) {
+    if (skus.has(variant.sku)) {
+      return `Duplicate variant SKU ${variant.sku}`;
+    }
+    skus.add(variant.sku);
+
+    for (const [name, value] of variant.options) {
+      if (!axes.has(name)) {
+        return `Variant ${variant.sku} uses unknown option ${name}`;
+      }
+      if (!axes.get(name).includes(value)) {
+        return `Variant ${variant.sku} has invalid ${name} ${value}`;
+      }
+    }
+    if (variant.options.size !== axes.size) {
+      return `Variant ${variant.sku} must set a value for every option`;
+    }
+
+    const combination = [...axes.keys()].map(name => variant.options.get(name)).join('|');
+    if (combinations.has(combination)) {
+      return `Variant ${variant.sku} has the same options as another variant`;
+    }
+    combinations.add(combination);
+  }
+
+  return null;
+};
+
+// Check variants against the option axes, and keep the product stock as the
+// total of its variants so stock filters keep working
+productSchema.pre('validate', function(next) {
+  if (!this.hasVariants) {
+    return next();
+  }
+
+  const problem = findVariantProblem(this.options, this.variants);
+  if (problem) {
+    this.invalidate('variants', problem);
+  }
+
+  this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  next();
+});
+
 // Pre-save middleware to trim strings
 productSchema.pre('save', function(next) {
   if (this.name) this.name = this.name.trim();
@@ -110,4 +387,6 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+productSchema.statics.MAX_GALLERY_IMAGES = MAX_GALLERY_IMAGES;
+
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// In-app alert raised when a product's (or variant's) available stock falls
+// to its low-stock threshold. It stays open until the stock recovers.
+const stockAlertSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: String,
+  name: String,
+  level: {
+    type: String,
+    enum: ['low_stock', 'out_of_stock'],
+    required: true
+  },
+  // Available stock when the alert was raised or last changed level
+  available: {
+    type: Number,
+    required: true
+  },
+  threshold: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolvedAt: Date,
+  acknowledgedAt: Date,
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user'
+  }
+}, {
+  timestamps: true
+});
+
+// At most one open alert per product or variant
+stockAlertSchema.index(
+  { product: 1, variant: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+stockAlertSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockAlert', stockAlertSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Stock held for an order between checkout and payment. Active reservations
+// are counted in the product's (and variant's) `reserved` field.
+const stockReservationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user'
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // committed once paid (the stock is sold), released when the order is
+  // cancelled or the reservation expires
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+stockReservationSchema.index({ order: 1, status: 1 });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A shopper waiting for an out-of-stock product or variant. Removed once the
+// back-in-stock email has been sent.
+const stockSubscriptionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Set for signed-in shoppers; guests subscribe with an email address only
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user'
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true
+  }
+}, {
+  timestamps: true
+});
+
+stockSubscriptionSchema.index({ product: 1, variant: 1, email: 1 }, { unique: true });
+stockSubscriptionSchema.index({ user: 1 });
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// An address that used the unsubscribe link in a back-in-stock email. Guests
+// cannot subscribe it again; signing in with it and subscribing clears it.
+const stockSubscriptionOptOutSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('StockSubscriptionOptOut', stockSubscriptionOptOutSchema);
@@ -43,13 +43,39 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  passwordResetToken: {
+    type: String,
+    required: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    required: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    required: false
+  },
   
 
   role: {
     type: String, 
     enum: ['user', 'admin'],
      default: 'user' },
+  // Set from the unsubscribe link in abandoned-cart reminder emails
+  cartRemindersUnsubscribed: {
+    type: Boolean,
+    default: false
+  },
 });
 
+// Check whether the password was changed after a JWT was issued (iat in seconds).
+// iat is rounded down, so a token from the same second as the change is
+// treated as older than it.
+userSchema.methods.changedPasswordAfter = function(jwtIssuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return jwtIssuedAt <= Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
 
 module.exports = mongoose.model('user', userSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const MAX_WISHLIST_ITEMS = 200;
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Optional: shoppers can save a product before choosing a variant
+  variant: mongoose.Schema.Types.ObjectId,
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Wishlist name is required'],
+    trim: true,
+    maxlength: [100, 'Wishlist name cannot exceed 100 characters'],
+    default: 'My wishlist'
+  },
+  items: {
+    type: [wishlistItemSchema],
+    validate: {
+      validator: items => items.length <= MAX_WISHLIST_ITEMS,
+      message: `A wishlist can have at most ${MAX_WISHLIST_ITEMS} items`
+    }
+  },
+  // Anyone with the token can view the list read-only; unset when not shared
+  shareToken: String
+}, {
+  timestamps: true
+});
+
+wishlistSchema.index({ user: 1, name: 1 }, { unique: true });
+wishlistSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { AppError } = require('./middleware/errorHandler');
 
 // Create upload directory if it doesn't exist
 const uploadDir = path.join(__dirname, 'upload');
@@ -36,4 +37,22 @@ const upload = multer({
     }
 });
 
+// Catalogue import files are parsed in memory, never written to disk
+const importFileFilter = (req, file, cb) => {
+    if (/\.(csv|json)$/i.test(file.originalname)) {
+        cb(null, true);
+    } else {
+        cb(new AppError('Import files must be .csv or .json', 400), false);
+    }
+};
+
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: importFileFilter,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    }
+});
+
 module.exports = upload;
+module.exports.importUpload = importUpload;
@@ -7,18 +7,29 @@ const {
   clearCart,
   getCartTotal,
   applyDiscount,
+  removeDiscount,
+  saveItemForLater,
+  moveSavedItemToCart,
+  removeSavedItem,
 } = require('../controllers/cartController');
 const { getRecommendedProducts } = require('../controllers/productController');
-const { authMiddleware } = require('../middleware/authMiddleware');
+const { authMiddleware, optionalAuth } = require('../middleware/authMiddleware');
+const { cartSession } = require('../middleware/cartSession');
 
 const router = express.Router();
 
+// Signed-in users work on their own cart, guests on the cart named by their cart token
+const cartAccess = [optionalAuth, cartSession];
 
 /**
  * @swagger
  * tags:
  *   name: Cart
- *   description: Shopping cart management
+ *   description: |
+ *     Shopping cart management. Guests can use the cart without logging in: the
+ *     first add returns a cart token (X-Cart-Token header and cartToken cookie)
+ *     to send with later requests. The guest cart is merged into the user's
+ *     cart when they log in or register.
  */
 
 /**
@@ -29,6 +40,134 @@ const router = express.Router();
  *       type: http
  *       scheme: bearer
  *       bearerFormat: JWT
+ *   parameters:
+ *     CartToken:
+ *       in: header
+ *       name: X-Cart-Token
+ *       required: false
+ *       description: Guest cart token; ignored when a bearer token is sent. Browsers can rely on the cartToken cookie instead.
+ *       schema:
+ *         type: string
+ *   schemas:
+ *     CartMerge:
+ *       type: object
+ *       description: |
+ *         What happened to a guest cart merged on login or registration. Only
+ *         present when the request carried a guest cart token.
+ *       properties:
+ *         merged:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CartMergeLine'
+ *         adjusted:
+ *           type: array
+ *           description: Lines merged with a lower quantity because of limited stock
+ *           items:
+ *             $ref: '#/components/schemas/CartMergeLine'
+ *         skipped:
+ *           type: array
+ *           description: Lines that could not be merged, with the reason
+ *           items:
+ *             $ref: '#/components/schemas/CartMergeLine'
+ *     CartMergeLine:
+ *       type: object
+ *       properties:
+ *         product:
+ *           type: string
+ *         variant:
+ *           type: string
+ *           nullable: true
+ *         name:
+ *           type: string
+ *         requested:
+ *           type: integer
+ *           description: Quantity in the guest cart
+ *         quantity:
+ *           type: integer
+ *           description: Quantity added to the user's cart
+ *         reason:
+ *           type: string
+ *           description: Why the line was skipped
+ *     CartLineWarning:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           enum: [unavailable, out_of_stock, reduced_stock, price_changed]
+ *         message:
+ *           type: string
+ *         available:
+ *           type: integer
+ *           description: Stock available (stock warnings)
+ *         priceWhenAdded:
+ *           type: number
+ *           description: Price changes only
+ *         price:
+ *           type: number
+ *           description: Current price (price changes only)
+ *     CartChange:
+ *       type: object
+ *       description: An adjustment made to the cart when it was validated
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [removed, quantity_reduced]
+ *         product:
+ *           type: string
+ *           nullable: true
+ *         variant:
+ *           type: string
+ *           nullable: true
+ *         name:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *           description: Quantity of a removed line
+ *         reason:
+ *           type: string
+ *           description: Why the line was removed
+ *         from:
+ *           type: integer
+ *         to:
+ *           type: integer
+ *     CartPricing:
+ *       type: object
+ *       properties:
+ *         subtotal:
+ *           type: number
+ *         discountCode:
+ *           type: string
+ *           nullable: true
+ *           description: Applied discount code, if it still applies to the cart
+ *         discountAmount:
+ *           type: number
+ *         total:
+ *           type: number
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               unitPrice:
+ *                 type: number
+ *               lineSubtotal:
+ *                 type: number
+ *               discount:
+ *                 type: number
+ *               lineTotal:
+ *                 type: number
+ *         discountRemoved:
+ *           type: object
+ *           description: Present when the applied code stopped applying after a cart change and was removed
+ *           properties:
+ *             code:
+ *               type: string
+ *             reason:
+ *               type: string
  */
 
 /**
@@ -38,14 +177,10 @@ const router = express.Router();
  *     summary: Add an item to the cart
  *     tags: [Cart]
  *     security:
+ *       - {}
  *       - bearerAuth: []
  *     parameters:
- *       - in: header
- *         name: Authorization
- *         required: true
- *         schema:
- *           type: string
- *           example: "Bearer <your_token>"
+ *       - $ref: '#/components/parameters/CartToken'
  *     requestBody:
  *       required: true
  *       content:
@@ -59,6 +194,9 @@ const router = express.Router();
  *               productId:
  *                 type: string
  *                 description: ID of the product to add to cart
+ *               variantId:
+ *                 type: string
+ *                 description: Variant of the product; required for products that have variants
  *               quantity:
  *                 type: integer
  *                 minimum: 1
@@ -69,7 +207,7 @@ const router = express.Router();
  *       400:
  *         description: Invalid request data
  */
-router.post('/add', authMiddleware, addItemToCart);
+router.post('/add', cartAccess, addItemToCart);
 
 /**
  * @swagger
@@ -78,21 +216,56 @@ router.post('/add', authMiddleware, addItemToCart);
  *     summary: Get the user's cart
  *     tags: [Cart]
  *     security:
+ *       - {}
  *       - bearerAuth: []
  *     parameters:
- *       - in: header
- *         name: Authorization
- *         required: true
- *         schema:
- *           type: string
- *           example: "Bearer <your_token>"
+ *       - $ref: '#/components/parameters/CartToken'
+ *     description: |
+ *       Every read re-checks the cart against the catalogue. Lines carry
+ *       `warnings` when their product was removed, stock ran short or the
+ *       price changed since they were added. With CART_AUTO_ADJUST=true,
+ *       unavailable lines are removed and quantities lowered to the stock
+ *       available instead, and `changes` lists what was adjusted.
  *     responses:
  *       200:
- *         description: User's cart retrieved successfully
+ *         description: User's cart with a `pricing` breakdown (see CartPricing)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       product:
+ *                         $ref: '#/components/schemas/Product'
+ *                       variant:
+ *                         type: string
+ *                       quantity:
+ *                         type: integer
+ *                       priceWhenAdded:
+ *                         type: number
+ *                       warnings:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/CartLineWarning'
+ *                 savedForLater:
+ *                   type: array
+ *                   description: Parked lines, with the same warnings; never adjusted or priced
+ *                   items:
+ *                     type: object
+ *                 pricing:
+ *                   $ref: '#/components/schemas/CartPricing'
+ *                 changes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CartChange'
  *       401:
- *         description: Unauthorized - Token missing or invalid
+ *         description: Unauthorized - Invalid or expired bearer token
  */
-router.get('/', authMiddleware, getCart);
+router.get('/', cartAccess, getCart);
 
 /**
  * @swagger
@@ -101,7 +274,10 @@ router.get('/', authMiddleware, getCart);
  *     summary: Remove an item from the cart
  *     tags: [Cart]
  *     security:
+ *       - {}
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
  *     requestBody:
  *       required: true
  *       content:
@@ -114,13 +290,119 @@ router.get('/', authMiddleware, getCart);
  *               productId:
  *                 type: string
  *                 description: ID of the product to remove from cart
+ *               variantId:
+ *                 type: string
+ *                 description: Variant of the product; required for products that have variants
  *     responses:
  *       200:
  *         description: Item removed from cart successfully
  *       400:
  *         description: Invalid request data
  */
-router.delete('/remove', authMiddleware, removeItemFromCart);
+router.delete('/remove', cartAccess, removeItemFromCart);
+
+/**
+ * @swagger
+ * /api/cart/save-for-later:
+ *   post:
+ *     summary: Move a cart item to the saved-for-later list
+ *     description: Saved items keep their quantity and price snapshot. They are left out of cart totals, discounts and checkout.
+ *     tags: [Cart]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Variant of the product; required for products that have variants
+ *     responses:
+ *       200:
+ *         description: Item saved for later; returns the cart and its pricing
+ *       404:
+ *         description: Cart or item not found
+ */
+router.post('/save-for-later', cartAccess, saveItemForLater);
+
+/**
+ * @swagger
+ * /api/cart/move-to-cart:
+ *   post:
+ *     summary: Move a saved item back into the cart
+ *     description: Checked against available stock like any other add.
+ *     tags: [Cart]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Variant of the product; required for products that have variants
+ *     responses:
+ *       200:
+ *         description: Item moved to cart; returns the cart and its pricing
+ *       400:
+ *         description: Product unavailable or not enough stock
+ *       404:
+ *         description: Cart, product or saved item not found
+ */
+router.post('/move-to-cart', cartAccess, moveSavedItemToCart);
+
+/**
+ * @swagger
+ * /api/cart/saved:
+ *   delete:
+ *     summary: Remove an item from the saved-for-later list
+ *     tags: [Cart]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Variant of the product; required for products that have variants
+ *     responses:
+ *       200:
+ *         description: Saved item removed
+ *       404:
+ *         description: Cart or saved item not found
+ */
+router.delete('/saved', cartAccess, removeSavedItem);
 
 /**
  * @swagger
@@ -129,7 +411,10 @@ router.delete('/remove', authMiddleware, removeItemFromCart);
  *     summary: Update an item in the cart
  *     tags: [Cart]
  *     security:
+ *       - {}
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
  *     requestBody:
  *       required: true
  *       content:
@@ -143,6 +428,9 @@ router.delete('/remove', authMiddleware, removeItemFromCart);
  *               productId:
  *                 type: string
  *                 description: ID of the product to update in cart
+ *               variantId:
+ *                 type: string
+ *                 description: Variant of the product; required for products that have variants
  *               quantity:
  *                 type: integer
  *                 minimum: 1
@@ -153,7 +441,7 @@ router.delete('/remove', authMiddleware, removeItemFromCart);
  *       400:
  *         description: Invalid request data
  */
-router.put('/update', authMiddleware, updateCartItem);
+router.put('/update', cartAccess, updateCartItem);
 
 /**
  * @swagger
@@ -162,14 +450,17 @@ router.put('/update', authMiddleware, updateCartItem);
  *     summary: Clear the entire cart
  *     tags: [Cart]
  *     security:
+ *       - {}
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
  *     responses:
  *       200:
  *         description: Cart cleared successfully
  *       401:
- *         description: Unauthorized - Token missing or invalid
+ *         description: Unauthorized - Invalid or expired bearer token
  */
-router.delete('/clear', authMiddleware, clearCart);
+router.delete('/clear', cartAccess, clearCart);
 
 /**
  * @swagger
@@ -178,23 +469,34 @@ router.delete('/clear', authMiddleware, clearCart);
  *     summary: Get the total price of items in the cart
  *     tags: [Cart]
  *     security:
+ *       - {}
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
  *     responses:
  *       200:
- *         description: Total cart value retrieved successfully
+ *         description: Subtotal, discount, total and per-line breakdown of the cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartPricing'
  *       401:
- *         description: Unauthorized - Token missing or invalid
+ *         description: Unauthorized - Invalid or expired bearer token
  */
-router.get('/total', authMiddleware, getCartTotal);
+router.get('/total', cartAccess, getCartTotal);
 
 /**
  * @swagger
  * /api/cart/apply-discount:
  *   post:
  *     summary: Apply a discount code to the cart
+ *     description: The code is stored on the cart, re-checked whenever the cart changes and used at checkout.
  *     tags: [Cart]
  *     security:
+ *       - {}
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
  *     requestBody:
  *       required: true
  *       content:
@@ -213,7 +515,26 @@ router.get('/total', authMiddleware, getCartTotal);
  *       400:
  *         description: Invalid discount code
  */
-router.post('/apply-discount', authMiddleware, applyDiscount);
+router.post('/apply-discount', cartAccess, applyDiscount);
+
+/**
+ * @swagger
+ * /api/cart/discount:
+ *   delete:
+ *     summary: Remove the applied discount code from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     responses:
+ *       200:
+ *         description: Discount removed; returns the updated pricing
+ *       404:
+ *         description: Cart not found
+ */
+router.delete('/discount', cartAccess, removeDiscount);
 
 /**
  * @swagger
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const categoryController = require('../controllers/categoryController');
-const { authMiddleware } = require('../middleware/authMiddleware');
+const { authMiddleware, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
 const { validate, schemas } = require('../middleware/validate');
 const { body } = require('express-validator');
 
@@ -226,8 +227,10 @@ router.get('/:id/subcategories', validate([schemas.id]), categoryController.getS
  *         description: Invalid request data
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires category:write permission
  */
-router.post('/', authMiddleware, validate(categoryValidation), categoryController.createCategory);
+router.post('/', authMiddleware, requirePermission(PERMISSIONS.CATEGORY_WRITE), validate(categoryValidation), categoryController.createCategory);
 
 /**
  * @swagger
@@ -281,11 +284,14 @@ router.post('/', authMiddleware, validate(categoryValidation), categoryControlle
  *         description: Invalid request data or circular reference detected
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires category:write permission
  *       404:
  *         description: Category not found
  */
 router.put('/:id', 
   authMiddleware, 
+  requirePermission(PERMISSIONS.CATEGORY_WRITE),
   validate([...categoryValidation, schemas.id]), 
   categoryController.updateCategory
 );
@@ -319,9 +325,11 @@ router.put('/:id',
  *                   type: string
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires category:write permission
  *       404:
  *         description: Category not found
  */
-router.delete('/:id', authMiddleware, validate([schemas.id]), categoryController.deleteCategory);
+router.delete('/:id', authMiddleware, requirePermission(PERMISSIONS.CATEGORY_WRITE), validate([schemas.id]), categoryController.deleteCategory);
 
 module.exports = router; 
\ No newline at end of file
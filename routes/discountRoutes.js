@@ -0,0 +1,385 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const discountController = require('../controllers/discountController');
+const { authMiddleware, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { PERMISSIONS } = require('../utils/permissions');
+
+// Validation middleware
+const discountIdValidation = param('id').isMongoId().withMessage('Invalid discount ID');
+
+const discountValidation = (isUpdate = false) => {
+  const field = name => (isUpdate ? body(name).optional() : body(name));
+  const optionalNumber = (name, options, message) =>
+    body(name)
+      .optional({ values: 'null' })
+      .isFloat(options)
+      .withMessage(message)
+      .toFloat();
+  const optionalInt = (name, message) =>
+    body(name)
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage(message)
+      .toInt();
+
+  return [
+    field('code')
+      .isString()
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,32}$/)
+      .withMessage('Code must be 3-32 letters, numbers, dashes or underscores'),
+    field('discountType')
+      .isIn(['fixed', 'percentage', 'buy_x_get_y'])
+      .withMessage('Discount type must be fixed, percentage or buy_x_get_y'),
+    body('amount')
+      .if((value, { req }) => !isUpdate && req.body.discountType !== 'buy_x_get_y')
+      .notEmpty()
+      .withMessage('Amount is required'),
+    optionalNumber('amount', { min: 0 }, 'Amount must be a positive number'),
+    body('amount')
+      .if(body('discountType').equals('percentage'))
+      .isFloat({ max: 100 })
+      .withMessage('Percentage discounts cannot exceed 100'),
+    body(['buyQuantity', 'getQuantity'])
+      .if((value, { req }) => !isUpdate && req.body.discountType === 'buy_x_get_y')
+      .notEmpty()
+      .withMessage('Buy and get quantities are required for buy_x_get_y discounts'),
+    optionalInt('buyQuantity', 'Buy quantity must be at least 1'),
+    optionalInt('getQuantity', 'Get quantity must be at least 1'),
+    optionalNumber('getDiscountPercent', { min: 0, max: 100 }, 'Get discount percent must be between 0 and 100'),
+    optionalNumber('minSubtotal', { min: 0 }, 'Minimum subtotal must be a positive number'),
+    optionalNumber('maxDiscountAmount', { min: 0 }, 'Maximum discount must be a positive number'),
+    optionalInt('usageLimit', 'Usage limit must be at least 1'),
+    optionalInt('perUserLimit', 'Per-user limit must be at least 1'),
+    body('firstOrderOnly')
+      .optional()
+      .isBoolean()
+      .withMessage('firstOrderOnly must be a boolean')
+      .toBoolean(),
+    body(['appliesTo.products', 'appliesTo.categories'])
+      .optional()
+      .isArray()
+      .withMessage('Scopes must be arrays of IDs'),
+    body(['appliesTo.products.*', 'appliesTo.categories.*'])
+      .isMongoId()
+      .withMessage('Invalid product or category ID'),
+    body('startsAt')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Start date must be a valid date')
+      .toDate(),
+    field('expiresAt')
+      .isISO8601()
+      .withMessage('Expiry must be a valid date')
+      .toDate(),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean()
+  ];
+};
+
+const previewValidation = [
+  body('code')
+    .notEmpty()
+    .withMessage('Discount code is required'),
+  body('cartId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid cart ID'),
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  body('items.*.productId')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('items.*.variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+  body('items.*.quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Discounts
+ *   description: Discount code administration
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Discount:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           description: Upper-case, unique discount code
+ *         description:
+ *           type: string
+ *         discountType:
+ *           type: string
+ *           enum: [fixed, percentage, buy_x_get_y]
+ *         amount:
+ *           type: number
+ *           description: Amount or percentage off (not used by buy_x_get_y)
+ *         buyQuantity:
+ *           type: integer
+ *           description: Units to buy before the get units are discounted (buy_x_get_y)
+ *         getQuantity:
+ *           type: integer
+ *           description: Cheapest units discounted per group (buy_x_get_y)
+ *         getDiscountPercent:
+ *           type: number
+ *           description: Discount on the get units, 100 means free (buy_x_get_y)
+ *         minSubtotal:
+ *           type: number
+ *           description: Minimum cart subtotal
+ *         maxDiscountAmount:
+ *           type: number
+ *           description: Cap on the discount amount
+ *         usageLimit:
+ *           type: integer
+ *           description: Total number of orders that can use the code
+ *         perUserLimit:
+ *           type: integer
+ *           description: Number of orders each user can place with the code
+ *         firstOrderOnly:
+ *           type: boolean
+ *         user:
+ *           type: string
+ *           description: Only this user can redeem the code; set on codes sent in cart reminders
+ *         appliesTo:
+ *           type: object
+ *           description: Restrict to products and/or categories (subcategories included); empty applies to the whole cart
+ *           properties:
+ *             products:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             categories:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         isActive:
+ *           type: boolean
+ *         usageCount:
+ *           type: integer
+ *           description: Number of orders placed with this code
+ */
+
+// All discount administration requires the discount:manage permission
+router.use(authMiddleware, requirePermission(PERMISSIONS.DISCOUNT_MANAGE));
+
+/**
+ * @swagger
+ * /api/discounts:
+ *   get:
+ *     summary: List discount codes
+ *     tags: [Discounts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: expired
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of discount codes
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires discount:manage permission
+ *   post:
+ *     summary: Create a discount code
+ *     tags: [Discounts]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Discount'
+ *           example:
+ *             code: "SALE20"
+ *             discountType: percentage
+ *             amount: 20
+ *             minSubtotal: 50000
+ *             maxDiscountAmount: 10000
+ *             expiresAt: "2026-12-31T23:59:59Z"
+ *     responses:
+ *       201:
+ *         description: Discount created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Discount'
+ *       400:
+ *         description: Invalid request data or duplicate code
+ *       403:
+ *         description: Forbidden - requires discount:manage permission
+ */
+router.get('/', discountController.getDiscounts);
+router.post('/', validate(discountValidation()), discountController.createDiscount);
+
+/**
+ * @swagger
+ * /api/discounts/preview:
+ *   post:
+ *     summary: Preview what a discount code would do to a cart
+ *     tags: [Discounts]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               cartId:
+ *                 type: string
+ *                 description: Preview against a stored cart
+ *               userId:
+ *                 type: string
+ *                 description: User to check per-user rules for when previewing explicit items
+ *               items:
+ *                 type: array
+ *                 description: Preview against explicit items instead of a cart
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Subtotal, discount, total and per-line breakdown the code would produce, with the reasons it does not apply
+ *       404:
+ *         description: Discount or cart not found
+ */
+router.post('/preview', validate(previewValidation), discountController.previewDiscount);
+
+/**
+ * @swagger
+ * /api/discounts/{id}:
+ *   get:
+ *     summary: Get a discount code by ID
+ *     tags: [Discounts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Discount details
+ *       404:
+ *         description: Discount not found
+ *   put:
+ *     summary: Update a discount code
+ *     tags: [Discounts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Discount'
+ *     responses:
+ *       200:
+ *         description: Discount updated successfully
+ *       400:
+ *         description: Invalid request data or duplicate code
+ *       404:
+ *         description: Discount not found
+ *   delete:
+ *     summary: Deactivate a discount code
+ *     tags: [Discounts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Discount deactivated successfully
+ *       404:
+ *         description: Discount not found
+ */
+router.get('/:id', validate([discountIdValidation]), discountController.getDiscountById);
+router.put('/:id', validate([discountIdValidation, ...discountValidation(true)]), discountController.updateDiscount);
+router.delete('/:id', validate([discountIdValidation]), discountController.deleteDiscount);
+
+module.exports = router;
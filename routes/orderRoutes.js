@@ -1,7 +1,34 @@
 const express = require('express');
 const router = express.Router();
-const { authMiddleware } = require('../middleware/authMiddleware');
-const { placeOrder } = require('../controllers/orderController');
+const { body, param } = require('express-validator');
+const { authMiddleware, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { idempotency } = require('../middleware/idempotency');
+const { PERMISSIONS } = require('../utils/permissions');
+const { ORDER_STATUSES } = require('../services/orderStatusService');
+const { placeOrder, updateOrderStatus, cancelOrder } = require('../controllers/orderController');
+
+// Validation middleware
+const orderIdValidation = param('id').isMongoId().withMessage('Invalid order ID');
+
+const statusValidation = [
+  body('status')
+    .isIn(ORDER_STATUSES)
+    .withMessage(`Status must be one of: ${ORDER_STATUSES.join(', ')}`),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const cancelValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
 
 /**
  * @swagger
@@ -35,6 +62,7 @@ const { placeOrder } = require('../controllers/orderController');
  *         schema:
  *           type: string
  *           example: "Bearer <your_token>"
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -42,12 +70,12 @@ const { placeOrder } = require('../controllers/orderController');
  *           schema:
  *             type: object
  *             required:
- *               - cartItems
  *               - paymentMethod
  *               - shippingAddress
  *             properties:
- *               cartItems:
+ *               items:
  *                 type: array
+ *                 description: Items to order. When omitted, the user's cart is checked out.
  *                 items:
  *                   type: object
  *                   required:
@@ -57,13 +85,16 @@ const { placeOrder } = require('../controllers/orderController');
  *                     productId:
  *                       type: string
  *                       description: The ID of the product being ordered
+ *                     variantId:
+ *                       type: string
+ *                       description: The variant being ordered; required for products that have variants
  *                     quantity:
  *                       type: integer
  *                       minimum: 1
  *                       description: Quantity of the product ordered
  *               paymentMethod:
  *                 type: string
- *                 enum: [credit_card, paypal, cash_on_delivery]
+ *                 enum: [card, paypal, cash_on_delivery]
  *                 description: Payment method selected by the user
  *               shippingAddress:
  *                 type: object
@@ -72,6 +103,7 @@ const { placeOrder } = require('../controllers/orderController');
  *                   - city
  *                   - state
  *                   - zipCode
+ *                   - country
  *                 properties:
  *                   street:
  *                     type: string
@@ -81,6 +113,13 @@ const { placeOrder } = require('../controllers/orderController');
  *                     type: string
  *                   zipCode:
  *                     type: string
+ *                   country:
+ *                     type: string
+ *               discountCode:
+ *                 type: string
+ *                 description: Optional discount code; when checking out the cart, defaults to the code applied to it
+ *               notes:
+ *                 type: string
  *     responses:
  *       201:
  *         description: Order placed successfully
@@ -88,7 +127,102 @@ const { placeOrder } = require('../controllers/orderController');
  *         description: Invalid request data
  *       401:
  *         description: Unauthorized - Token missing or invalid
+ *       409:
+ *         description: A request with this Idempotency-Key is still being processed
+ *       422:
+ *         description: Idempotency-Key reused with a different request body
+ */
+router.post('/checkout', authMiddleware, idempotency, placeOrder);
+
+/**
+ * @swagger
+ * /api/orders/{id}/status:
+ *   patch:
+ *     summary: Update an order's status (admin)
+ *     description: |
+ *       Allowed transitions: pending → confirmed → processing → shipped → delivered.
+ *       Orders can be cancelled while pending, confirmed or processing.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, confirmed, processing, shipped, delivered, cancelled]
+ *               reason:
+ *                 type: string
+ *                 description: Optional note stored in the status history
+ *     responses:
+ *       200:
+ *         description: Order status updated
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires order:manage permission
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Illegal status transition
+ */
+router.patch('/:id/status',
+  authMiddleware,
+  requirePermission(PERMISSIONS.ORDER_MANAGE),
+  validate([orderIdValidation, ...statusValidation]),
+  updateOrderStatus
+);
+
+/**
+ * @swagger
+ * /api/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel one of your orders
+ *     description: Only pending or confirmed orders can be cancelled. Items are returned to stock and paid orders are flagged for refund.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order cancelled successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order can no longer be cancelled
  */
-router.post('/checkout', authMiddleware, placeOrder);
+router.post('/:id/cancel', authMiddleware, validate([orderIdValidation, ...cancelValidation]), cancelOrder);
 
 module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { idempotency } = require('../middleware/idempotency');
+const paymentController = require('../controllers/paymentController');
+
+// Validation middleware
+const intentValidation = [
+  body('orderId')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+  body('provider')
+    .optional()
+    .isString()
+    .trim()
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Payment collection and provider webhooks
+ */
+
+/**
+ * @swagger
+ * /api/payments/intent:
+ *   post:
+ *     summary: Start a payment for an order
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               provider:
+ *                 type: string
+ *                 description: Payment provider name (defaults to the configured provider)
+ *                 example: mock
+ *     responses:
+ *       201:
+ *         description: Payment initiated; use clientSecret to complete it with the provider
+ *       400:
+ *         description: Invalid request data or cash on delivery order
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order already paid or cancelled, its stock reservation expired, or Idempotency-Key still being processed
+ *       422:
+ *         description: Idempotency-Key reused with a different request body
+ */
+router.post('/intent', authMiddleware, validate(intentValidation), idempotency, paymentController.createPaymentIntent);
+
+/**
+ * @swagger
+ * /api/payments/webhook/{provider}:
+ *   post:
+ *     summary: Receive payment events from a provider
+ *     description: The request must carry the provider's signature header (x-mock-signature for the mock provider).
+ *     tags: [Payments]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [payment.succeeded, payment.failed, refund.succeeded]
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   failureReason:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Event processed
+ *       400:
+ *         description: Invalid signature or unknown provider
+ *       404:
+ *         description: Payment not found
+ */
+router.post('/webhook/:provider', paymentController.handleWebhook);
+
+module.exports = router;
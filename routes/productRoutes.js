@@ -1,9 +1,87 @@
 const express = require('express');
 const router = express.Router();
+const { body, param, query } = require('express-validator');
 const upload = require('../multerConfig');
 const productController = require('../controllers/productController');
-const { authMiddleware } = require('../middleware/authMiddleware');
+const inventoryController = require('../controllers/inventoryController');
+const stockSubscriptionController = require('../controllers/stockSubscriptionController');
+const Product = require('../models/product');
+const { authMiddleware, optionalAuth, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
 const { basicLimiter } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
+const { verifyImageUploads } = require('../middleware/verifyImages');
+const { validate } = require('../middleware/validate');
+
+const productIdValidation = param('id').isMongoId().withMessage('Invalid product ID');
+
+const adjustStockValidation = [
+  productIdValidation,
+  body('quantity')
+    .isInt()
+    .withMessage('Quantity must be a whole number')
+    .not()
+    .equals('0')
+    .withMessage('Quantity cannot be zero')
+    .toInt(),
+  body('type')
+    .optional()
+    .isIn(['adjustment', 'return'])
+    .withMessage('Type must be adjustment or return'),
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason is required and cannot exceed 500 characters'),
+  body(['variantId', 'orderId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant or order ID')
+];
+
+const alertsValidation = [
+  query('status')
+    .optional()
+    .isIn(['open', 'resolved'])
+    .withMessage('Status must be open or resolved'),
+  query('acknowledged')
+    .optional()
+    .isBoolean()
+    .withMessage('acknowledged must be true or false')
+];
+
+// The low-stock filter is part of the admin catalogue view
+const lowStockRequiresAdmin = (req, res, next) => {
+  if (req.query.lowStock !== 'true') {
+    return next();
+  }
+  authMiddleware(req, res, () => requirePermission(PERMISSIONS.PRODUCT_WRITE)(req, res, next));
+};
+
+const subscribeValidation = [
+  productIdValidation,
+  body('email')
+    .if((value, { req }) => !req.user)
+    .isEmail()
+    .withMessage('A valid email is required to subscribe as a guest')
+    .normalizeEmail(),
+  body('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID')
+];
+
+const movementsValidation = [
+  productIdValidation,
+  query('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+  query('type')
+    .optional()
+    .isIn(['sale', 'cancellation', 'return', 'adjustment', 'import'])
+    .withMessage('Invalid movement type')
+];
 
 /**
  * @swagger
@@ -15,6 +93,15 @@ const { basicLimiter } = require('../middleware/rateLimiter');
 /**
  * @swagger
  * components:
+ *   parameters:
+ *     IdempotencyKey:
+ *       in: header
+ *       name: Idempotency-Key
+ *       required: false
+ *       schema:
+ *         type: string
+ *         maxLength: 255
+ *       description: Unique key that makes the request safe to retry. Retries with the same key return the original response.
  *   schemas:
  *     Product:
  *       type: object
@@ -22,6 +109,9 @@ const { basicLimiter } = require('../middleware/rateLimiter');
  *         _id:
  *           type: string
  *           description: Auto-generated product ID
+ *         sku:
+ *           type: string
+ *           description: Catalogue SKU, used to match products on import
  *         name:
  *           type: string
  *           description: Product name
@@ -46,10 +136,41 @@ const { basicLimiter } = require('../middleware/rateLimiter');
  *           description: Product category
  *         image:
  *           type: string
- *           description: URL of the product image
+ *           description: URL of the primary gallery image
+ *         images:
+ *           type: array
+ *           description: Gallery in display order
+ *           items:
+ *             $ref: '#/components/schemas/ProductImage'
+ *         srcset:
+ *           type: object
+ *           description: srcset strings of the primary image, keyed by format
+ *           additionalProperties:
+ *             type: string
+ *         options:
+ *           type: array
+ *           description: Option axes variants are built from
+ *           items:
+ *             $ref: '#/components/schemas/ProductOption'
+ *         variants:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProductVariant'
+ *         hasVariants:
+ *           type: boolean
+ *           description: Products with variants must be added to carts and ordered by variant
  *         stock:
  *           type: integer
- *           description: Available stock quantity
+ *           description: Stock on hand (for products with variants, the total of their stock)
+ *         reserved:
+ *           type: integer
+ *           description: Units held by checkouts awaiting payment
+ *         available:
+ *           type: integer
+ *           description: Stock that can be added to a cart, i.e. stock minus reserved
+ *         lowStockThreshold:
+ *           type: integer
+ *           description: Admins are alerted when available stock falls to this level; LOW_STOCK_THRESHOLD applies when unset
  *         averageRating:
  *           type: number
  *           description: Average product rating
@@ -67,6 +188,152 @@ const { basicLimiter } = require('../middleware/rateLimiter');
  *           type: string
  *           format: date-time
  *           description: Update timestamp
+ *     ProductImage:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         url:
+ *           type: string
+ *         alt:
+ *           type: string
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *         renditions:
+ *           type: array
+ *           description: Thumbnail (150px), medium (600px) and large (1200px) copies in the original format and WebP
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 enum: [thumbnail, medium, large]
+ *               format:
+ *                 type: string
+ *               width:
+ *                 type: integer
+ *               url:
+ *                 type: string
+ *         srcset:
+ *           type: object
+ *           description: srcset strings keyed by format
+ *           additionalProperties:
+ *             type: string
+ *           example:
+ *             jpeg: 'https://.../thumb.jpg 150w, https://.../medium.jpg 600w, https://.../large.jpg 1200w'
+ *             webp: 'https://.../thumb.webp 150w, https://.../medium.webp 600w, https://.../large.webp 1200w'
+ *         position:
+ *           type: integer
+ *         isPrimary:
+ *           type: boolean
+ *     ProductOption:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: size
+ *         values:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [S, M, L, XL]
+ *     ProductVariant:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         options:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           example:
+ *             size: L
+ *             colour: Navy
+ *         price:
+ *           type: number
+ *           description: Overrides the product price when set
+ *         stock:
+ *           type: integer
+ *         reserved:
+ *           type: integer
+ *           description: Units held by checkouts awaiting payment
+ *         available:
+ *           type: integer
+ *           description: Stock minus reserved
+ *         image:
+ *           type: object
+ *           properties:
+ *             url:
+ *               type: string
+ *         isActive:
+ *           type: boolean
+ *     StockAlert:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           $ref: '#/components/schemas/Product'
+ *         variant:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         name:
+ *           type: string
+ *         level:
+ *           type: string
+ *           enum: [low_stock, out_of_stock]
+ *         available:
+ *           type: integer
+ *           description: Available stock when the alert was raised or changed level
+ *         threshold:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [open, resolved]
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *         acknowledgedAt:
+ *           type: string
+ *           format: date-time
+ *         acknowledgedBy:
+ *           type: string
+ *     InventoryMovement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         variant:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [sale, cancellation, return, adjustment, import]
+ *         quantity:
+ *           type: integer
+ *           description: Signed change, negative for stock leaving
+ *         stockAfter:
+ *           type: integer
+ *           description: Stock level of the product or variant after the change
+ *         actor:
+ *           type: object
+ *           description: User who made the change
+ *         order:
+ *           type: object
+ *           description: Order the change belongs to, if any
+ *         reason:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  *     Order:
  *       type: object
  *       properties:
@@ -85,8 +352,33 @@ const { basicLimiter } = require('../middleware/rateLimiter');
  *                 $ref: '#/components/schemas/Product'
  *               quantity:
  *                 type: integer
+ *               variant:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               options:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
  *               price:
  *                 type: number
+ *               discount:
+ *                 type: number
+ *                 description: This line's share of the order discount
+ *         subtotal:
+ *           type: number
+ *         discount:
+ *           type: object
+ *           properties:
+ *             code:
+ *               type: string
+ *             discountType:
+ *               type: string
+ *               enum: [fixed, percentage, buy_x_get_y]
+ *             value:
+ *               type: number
+ *             amount:
+ *               type: number
  *         totalAmount:
  *           type: number
  *         shippingAddress:
@@ -107,10 +399,30 @@ const { basicLimiter } = require('../middleware/rateLimiter');
  *           enum: [card, paypal, cash_on_delivery]
  *         paymentStatus:
  *           type: string
- *           enum: [pending, paid, failed]
+ *           enum: [pending, paid, failed, refund_pending, refunded]
  *         orderStatus:
  *           type: string
  *           enum: [pending, confirmed, processing, shipped, delivered, cancelled]
+ *         reservationExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Set while stock is reserved for an unpaid order; the order is cancelled if not paid by then
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               from:
+ *                 type: string
+ *               changedBy:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -163,7 +475,12 @@ const { basicLimiter } = require('../middleware/rateLimiter');
  *         name: inStock
  *         schema:
  *           type: boolean
- *         description: Filter for in-stock products only
+ *         description: Filter for products with available (unreserved) stock only
+ *       - in: query
+ *         name: lowStock
+ *         schema:
+ *           type: boolean
+ *         description: Admin only (product:write) - products, or any of their active variants, at or below their low-stock threshold
  *       - in: query
  *         name: minRating
  *         schema:
@@ -194,10 +511,14 @@ const { basicLimiter } = require('../middleware/rateLimiter');
  *                       type: integer
  *                     totalProducts:
  *                       type: integer
+ *       401:
+ *         description: lowStock requested without authentication
+ *       403:
+ *         description: lowStock requested without product:write permission
  *       500:
  *         description: Server error
  */
-router.get('/', basicLimiter, productController.getProducts);
+router.get('/', basicLimiter, lowStockRequiresAdmin, productController.getProducts);
 
 /**
  * @swagger
@@ -279,33 +600,25 @@ router.get('/category/:categoryId', basicLimiter, productController.getProductsB
 
 /**
  * @swagger
- * /api/products/{id}:
- *   get:
- *     summary: Get a product by ID
- *     tags: [Products]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Product ID
- *     responses:
- *       200:
- *         description: Product details
- *       404:
- *         description: Product not found
- */
-router.get('/:id', basicLimiter, productController.getProductById);
-
-/**
- * @swagger
- * /api/products:
+ * /api/products/import:
  *   post:
- *     summary: Create a new product
+ *     summary: Create or update products in bulk from a CSV or JSON file
+ *     description: |
+ *       Products are matched by SKU: existing ones are updated, new ones created.
+ *       Columns are sku, name, description, price, stock, category (slug), images,
+ *       isActive, options and variants. In CSV, images are separated by `|` and
+ *       options and variants are JSON; empty cells leave the current value unchanged.
+ *       Each row is validated and saved on its own and failures are reported per row.
+ *       The export endpoint produces the same format.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate and report without saving anything
  *     requestBody:
  *       required: true
  *       content:
@@ -313,34 +626,15 @@ router.get('/:id', basicLimiter, productController.getProductById);
  *           schema:
  *             type: object
  *             required:
- *               - name
- *               - price
- *               - category
- *               - description
- *               - image
+ *               - file
  *             properties:
- *               name:
- *                 type: string
- *                 description: Product name
- *               price:
- *                 type: number
- *                 description: Product price
- *               category:
- *                 type: string
- *                 description: Category ID
- *               description:
- *                 type: string
- *                 description: Product description
- *               stock:
- *                 type: integer
- *                 description: Initial stock quantity
- *               image:
+ *               file:
  *                 type: string
  *                 format: binary
- *                 description: Product image file
+ *                 description: .csv or .json file, at most 2000 products
  *     responses:
- *       201:
- *         description: Product created successfully
+ *       200:
+ *         description: Import report
  *         content:
  *           application/json:
  *             schema:
@@ -351,98 +645,817 @@ router.get('/:id', basicLimiter, productController.getProductById);
  *                 message:
  *                   type: string
  *                 data:
- *                   $ref: '#/components/schemas/Product'
+ *                   type: object
+ *                   properties:
+ *                     dryRun:
+ *                       type: boolean
+ *                     total:
+ *                       type: integer
+ *                     created:
+ *                       type: integer
+ *                     updated:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           row:
+ *                             type: integer
+ *                             description: 1-based product number in the file
+ *                           sku:
+ *                             type: string
+ *                           errors:
+ *                             type: array
+ *                             items:
+ *                               type: string
  *       400:
- *         description: Invalid request data
- *       401:
- *         description: Unauthorized
+ *         description: Missing, unreadable or oversized import file
+ *       403:
+ *         description: Forbidden - requires product:write permission
  */
-// Protected routes (require authentication)
-router.post('/', authMiddleware, upload.single('image'), productController.createProduct);
-router.post('/:id/rate', authMiddleware, productController.rateProduct);
-router.put('/:id', authMiddleware, upload.single('image'), productController.updateProduct);
-router.delete('/:id', authMiddleware, productController.deleteProduct);
+router.post('/import', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), upload.importUpload.single('file'), productController.importProducts);
 
 /**
  * @swagger
- * /api/products/checkout:
- *   post:
- *     summary: Process product checkout
+ * /api/products/export:
+ *   get:
+ *     summary: Export the whole catalogue in the import format
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - items
- *               - shippingAddress
- *               - paymentMethod
- *             properties:
- *               items:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     productId:
- *                       type: string
- *                     quantity:
- *                       type: integer
- *                       minimum: 1
- *               shippingAddress:
- *                 type: object
- *                 required:
- *                   - street
- *                   - city
- *                   - state
- *                   - zipCode
- *                   - country
- *                 properties:
- *                   street:
- *                     type: string
- *                   city:
- *                     type: string
- *                   state:
- *                     type: string
- *                   zipCode:
- *                     type: string
- *                   country:
- *                     type: string
- *               paymentMethod:
- *                 type: string
- *                 enum: [card, paypal, cash_on_delivery]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
  *     responses:
- *       201:
- *         description: Order created successfully
+ *       200:
+ *         description: Streamed file download
  *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *                 data:
- *                   type: object
- *                   properties:
- *                     order:
- *                       $ref: '#/components/schemas/Order'
- *                     orderNumber:
- *                       type: string
- *                     totalAmount:
- *                       type: number
- *       400:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       403:
+ *         description: Forbidden - requires product:write permission
+ */
+router.get('/export', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), productController.exportProducts);
+
+/**
+ * @swagger
+ * /api/products/stock-alerts:
+ *   get:
+ *     summary: List low-stock and out-of-stock alerts
+ *     description: Alerts are raised when a product's (or variant's) available stock falls to its low-stock threshold and resolved when it recovers.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved]
+ *           default: open
+ *       - in: query
+ *         name: acknowledged
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Alerts, most recently changed first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     alerts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/StockAlert'
+ *                     currentPage:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalAlerts:
+ *                       type: integer
+ *       403:
+ *         description: Forbidden - requires product:write permission
+ */
+router.get('/stock-alerts', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), validate(alertsValidation), inventoryController.getStockAlerts);
+
+/**
+ * @swagger
+ * /api/products/stock-alerts/{alertId}/acknowledge:
+ *   patch:
+ *     summary: Acknowledge a stock alert
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stock alert acknowledged
+ *       403:
+ *         description: Forbidden - requires product:write permission
+ *       404:
+ *         description: Stock alert not found
+ */
+router.patch('/stock-alerts/:alertId/acknowledge', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), validate([param('alertId').isMongoId().withMessage('Invalid alert ID')]), inventoryController.acknowledgeStockAlert);
+
+/**
+ * @swagger
+ * /api/products/subscriptions/unsubscribe/{token}:
+ *   get:
+ *     summary: Stop back-in-stock emails to an address
+ *     description: One-click link from the footer of back-in-stock emails; no login needed. Cancels every pending notification for the address, and guests can no longer subscribe it.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed from back-in-stock emails
+ *       400:
+ *         description: Invalid unsubscribe link
+ */
+router.get('/subscriptions/unsubscribe/:token', basicLimiter, stockSubscriptionController.unsubscribeByToken);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   get:
+ *     summary: Get a product by ID
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: Product details
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:id', basicLimiter, productController.getProductById);
+
+/**
+ * @swagger
+ * /api/products:
+ *   post:
+ *     summary: Create a new product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - price
+ *               - category
+ *               - description
+ *               - images
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Product name
+ *               price:
+ *                 type: number
+ *                 description: Product price
+ *               category:
+ *                 type: string
+ *                 description: Category ID
+ *               description:
+ *                 type: string
+ *                 description: Product description
+ *               stock:
+ *                 type: integer
+ *                 description: Initial stock quantity
+ *               lowStockThreshold:
+ *                 type: integer
+ *                 description: Alert admins at or below this available stock; defaults to LOW_STOCK_THRESHOLD
+ *               options:
+ *                 type: string
+ *                 description: 'JSON array of option axes, e.g. [{"name":"size","values":["M","L"]}]'
+ *               images:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Gallery image files (JPEG, PNG, GIF or WebP), in display order. EXIF data is stripped and resized renditions are generated.
+ *               imageAlts:
+ *                 type: string
+ *                 description: JSON array of alt text, one per uploaded image
+ *               primaryImage:
+ *                 type: integer
+ *                 description: Index of the uploaded image to use as the primary image (defaults to 0)
+ *     responses:
+ *       201:
+ *         description: Product created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires product:write permission
+ */
+// Protected routes (require authentication)
+router.post('/', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), upload.array('images', Product.MAX_GALLERY_IMAGES), verifyImageUploads, productController.createProduct);
+router.post('/:id/rate', authMiddleware, productController.rateProduct);
+
+/**
+ * @swagger
+ * /api/products/{id}/subscriptions:
+ *   post:
+ *     summary: Get emailed when an out-of-stock product is back in stock
+ *     description: Signed-in shoppers are subscribed with their account email; guests must give an email. One email is sent when stock becomes available, after which the subscription is removed. Every email links to /api/products/subscriptions/unsubscribe/{token}.
+ *     tags: [Products]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Required for guests
+ *               variantId:
+ *                 type: string
+ *                 description: Required for products with variants
+ *     responses:
+ *       201:
+ *         description: Subscribed
+ *       400:
+ *         description: Missing email or variant, or the product is in stock
+ *       404:
+ *         description: Product or variant not found
+ *   delete:
+ *     summary: Cancel a back-in-stock notification
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         description: Only cancel the notification for this variant
+ *     responses:
+ *       200:
+ *         description: Notification cancelled
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Subscription not found
+ */
+router.post('/:id/subscriptions', basicLimiter, optionalAuth, validate(subscribeValidation), stockSubscriptionController.subscribe);
+router.delete('/:id/subscriptions', authMiddleware, validate([productIdValidation, query('variantId').optional().isMongoId().withMessage('Invalid variant ID')]), stockSubscriptionController.unsubscribe);
+router.put('/:id', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), upload.array('images', Product.MAX_GALLERY_IMAGES), verifyImageUploads, productController.updateProduct);
+router.delete('/:id', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), productController.deleteProduct);
+
+/**
+ * @swagger
+ * /api/products/{id}/variants:
+ *   post:
+ *     summary: Add a variant to a product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sku
+ *               - options
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               options:
+ *                 type: string
+ *                 description: 'JSON object with a value for every option axis, e.g. {"size":"L","colour":"Navy"}'
+ *               price:
+ *                 type: number
+ *                 description: Overrides the product price
+ *               stock:
+ *                 type: integer
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Variant added successfully
+ *       400:
+ *         description: Invalid options or duplicate SKU
+ *       403:
+ *         description: Forbidden - requires product:write permission
+ *       404:
+ *         description: Product not found
+ */
+router.post('/:id/variants', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), upload.single('image'), verifyImageUploads, productController.addVariant);
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Update a product variant
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductVariant'
+ *     responses:
+ *       200:
+ *         description: Variant updated successfully
+ *       400:
+ *         description: Invalid options or duplicate SKU
+ *       403:
+ *         description: Forbidden - requires product:write permission
+ *       404:
+ *         description: Product or variant not found
+ *   delete:
+ *     summary: Deactivate a product variant
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Variant deleted successfully
+ *       403:
+ *         description: Forbidden - requires product:write permission
+ *       404:
+ *         description: Product or variant not found
+ */
+router.put('/:id/variants/:variantId', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), upload.single('image'), verifyImageUploads, productController.updateVariant);
+router.delete('/:id/variants/:variantId', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), productController.deleteVariant);
+
+/**
+ * @swagger
+ * /api/products/{id}/inventory:
+ *   post:
+ *     summary: Adjust product stock
+ *     description: Records a manual stock change, such as a stock count correction or a customer return, in the inventory ledger.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *               - reason
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 description: Signed change, e.g. -3 to write off three damaged units
+ *               variantId:
+ *                 type: string
+ *                 description: Required for products with variants
+ *               type:
+ *                 type: string
+ *                 enum: [adjustment, return]
+ *                 default: adjustment
+ *               reason:
+ *                 type: string
+ *               orderId:
+ *                 type: string
+ *                 description: Order a return belongs to
+ *     responses:
+ *       201:
+ *         description: Stock adjusted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     movement:
+ *                       $ref: '#/components/schemas/InventoryMovement'
+ *                     stock:
+ *                       type: integer
+ *                       description: Product stock after the change
+ *       400:
+ *         description: Invalid input or the adjustment would take stock below zero
+ *       403:
+ *         description: Forbidden - requires product:write permission
+ *       404:
+ *         description: Product or variant not found
+ *   get:
+ *     summary: Get the stock movement history of a product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [sale, cancellation, return, adjustment, import]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Movements, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     movements:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/InventoryMovement'
+ *                     currentPage:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalMovements:
+ *                       type: integer
+ *       403:
+ *         description: Forbidden - requires product:write permission
+ *       404:
+ *         description: Product not found
+ */
+router.post('/:id/inventory', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), validate(adjustStockValidation), inventoryController.adjustStock);
+router.get('/:id/inventory', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), validate(movementsValidation), inventoryController.getMovements);
+
+/**
+ * @swagger
+ * /api/products/{id}/images:
+ *   post:
+ *     summary: Add images to a product gallery
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - images
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               imageAlts:
+ *                 type: string
+ *                 description: JSON array of alt text, one per uploaded image
+ *               primaryImage:
+ *                 type: integer
+ *                 description: Index of an uploaded image to make the primary image
+ *     responses:
+ *       201:
+ *         description: Images added; returns the gallery
+ *       400:
+ *         description: No images, or the gallery would exceed 10 images
+ *       403:
+ *         description: Forbidden - requires product:write permission
+ *       404:
+ *         description: Product not found
+ */
+router.post('/:id/images', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), upload.array('images', Product.MAX_GALLERY_IMAGES), verifyImageUploads, productController.addProductImages);
+
+/**
+ * @swagger
+ * /api/products/{id}/images/order:
+ *   put:
+ *     summary: Reorder a product gallery
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imageIds
+ *             properties:
+ *               imageIds:
+ *                 type: array
+ *                 description: Every image ID of the product, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Gallery reordered
+ *       400:
+ *         description: imageIds does not list every image exactly once
+ *       404:
+ *         description: Product not found
+ */
+router.put('/:id/images/order', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), productController.reorderProductImages);
+
+/**
+ * @swagger
+ * /api/products/{id}/images/{imageId}:
+ *   patch:
+ *     summary: Update an image's alt text or make it the primary image
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alt:
+ *                 type: string
+ *               isPrimary:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Image updated
+ *       404:
+ *         description: Product or image not found
+ *   delete:
+ *     summary: Remove an image from a product gallery
+ *     description: The image asset is deleted from storage. If the primary image is removed, the next image becomes primary.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Image removed
+ *       400:
+ *         description: The last image of a product cannot be removed
+ *       404:
+ *         description: Product or image not found
+ */
+router.patch('/:id/images/:imageId', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), productController.updateProductImage);
+router.delete('/:id/images/:imageId', authMiddleware, requirePermission(PERMISSIONS.PRODUCT_WRITE), productController.removeProductImage);
+
+/**
+ * @swagger
+ * /api/products/checkout:
+ *   post:
+ *     summary: Process product checkout
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *               - shippingAddress
+ *               - paymentMethod
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                       description: Required for products that have variants
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               shippingAddress:
+ *                 type: object
+ *                 required:
+ *                   - street
+ *                   - city
+ *                   - state
+ *                   - zipCode
+ *                   - country
+ *                 properties:
+ *                   street:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *                   state:
+ *                     type: string
+ *                   zipCode:
+ *                     type: string
+ *                   country:
+ *                     type: string
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [card, paypal, cash_on_delivery]
+ *               discountCode:
+ *                 type: string
+ *                 description: Optional discount code to apply
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     order:
+ *                       $ref: '#/components/schemas/Order'
+ *                     orderNumber:
+ *                       type: string
+ *                     totalAmount:
+ *                       type: number
+ *       400:
  *         description: Invalid request data
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: A request with this Idempotency-Key is still being processed
+ *       422:
+ *         description: Idempotency-Key reused with a different request body
  */
-router.post('/checkout', authMiddleware, basicLimiter, productController.checkout);
+router.post('/checkout', authMiddleware, basicLimiter, idempotency, productController.checkout);
 
 /**
  * @swagger
@@ -452,6 +1465,8 @@ router.post('/checkout', authMiddleware, basicLimiter, productController.checkou
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -484,6 +1499,11 @@ router.post('/checkout', authMiddleware, basicLimiter, productController.checkou
  *               paymentMethod:
  *                 type: string
  *                 enum: [card, paypal, cash_on_delivery]
+ *               discountCode:
+ *                 type: string
+ *                 description: Optional discount code; defaults to the code applied to the cart
+ *               notes:
+ *                 type: string
  *     responses:
  *       201:
  *         description: Order created successfully from cart
@@ -509,8 +1529,12 @@ router.post('/checkout', authMiddleware, basicLimiter, productController.checkou
  *         description: Invalid request data or empty cart
  *       401:
  *         description: Unauthorized
+ *       409:
+ *         description: A request with this Idempotency-Key is still being processed
+ *       422:
+ *         description: Idempotency-Key reused with a different request body
  */
-router.post('/checkout/cart', authMiddleware, basicLimiter, productController.checkoutFromCart);
+router.post('/checkout/cart', authMiddleware, basicLimiter, idempotency, productController.checkoutFromCart);
 
 /**
  * @swagger
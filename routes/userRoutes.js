@@ -1,5 +1,4 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const passport = require('passport');
 const {
   registerUser,
@@ -7,10 +6,18 @@ const {
   logoutUser,
   getUserProfile,
   verifyEmail,
+  unsubscribeCartReminders,
   refreshToken,
+  forgotPassword,
+  resetPassword,
+  getSessions,
+  revokeUserSession,
+  revokeOtherSessions,
 } = require('../controllers/userController');
 const { authMiddleware } = require('../middleware/authMiddleware');
-const { registrationLimiter } = require('../middleware/rateLimiter');
+const { authLimiter, refreshLimiter, registrationLimiter } = require('../middleware/rateLimiter');
+const { createSession } = require('../utils/tokens');
+const { mergeGuestCartOnLogin } = require('../middleware/cartSession');
 
 const router = express.Router();
 
@@ -54,9 +61,24 @@ const router = express.Router();
  *                 type: string
  *               password:
  *                 type: string
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully. A guest cart sent with the request is merged into the new account (see `cartMerge`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                 cartMerge:
+ *                   $ref: '#/components/schemas/CartMerge'
  *       400:
  *         description: Invalid request data
  */
@@ -82,9 +104,24 @@ router.post('/register', registrationLimiter, registerUser);
  *                 type: string
  *               password:
  *                 type: string
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
  *     responses:
  *       200:
- *         description: User logged in successfully
+ *         description: User logged in successfully. A guest cart sent with the request is merged into the user's cart (see `cartMerge`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                 token:
+ *                   type: string
+ *                 cartMerge:
+ *                   $ref: '#/components/schemas/CartMerge'
  *       401:
  *         description: Unauthorized - Invalid credentials
  */
@@ -94,10 +131,20 @@ router.post('/login', loginUser);
  * @swagger
  * /api/users/logout:
  *   post:
- *     summary: Logout user
+ *     summary: Logout user and revoke the current session
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token to revoke (not needed when sent as a cookie)
  *     responses:
  *       200:
  *         description: Logged out successfully
@@ -151,21 +198,160 @@ router.get('/profile', authMiddleware, getUserProfile);
  */
 router.get('/verify-email/:token', verifyEmail);
 
+/**
+ * @swagger
+ * /api/users/cart-reminders/unsubscribe/{token}:
+ *   get:
+ *     summary: Stop abandoned-cart reminder emails
+ *     description: One-click link from the footer of reminder emails; no login needed.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed from cart reminders
+ *       400:
+ *         description: Invalid unsubscribe link
+ */
+router.get('/cart-reminders/unsubscribe/:token', authLimiter, unsubscribeCartReminders);
+
 /**
  * @swagger
  * /api/users/refresh-token:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: The presented refresh token is rotated and can only be used once. Reusing an old token revokes the whole session. Replaces the former GET endpoint, which took the token as a bearer header; the response still carries accessToken.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token (omit when sent as the refreshToken cookie)
+ *               useCookie:
+ *                 type: boolean
+ *                 description: Return the new refresh token as an httpOnly cookie
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *       401:
+ *         description: Unauthorized - Invalid, expired or reused refresh token
+ */
+router.post('/refresh-token', refreshLimiter, refreshToken);
+
+/**
+ * @swagger
+ * /api/users/sessions:
  *   get:
- *     summary: Refresh authentication token
+ *     summary: List active device sessions
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: Active sessions retrieved successfully
  *       401:
- *         description: Unauthorized - Invalid or expired refresh token
+ *         description: Unauthorized - Token missing or invalid
+ *   delete:
+ *     summary: Sign out every other device session
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked successfully
+ *       401:
+ *         description: Unauthorized - Token missing or invalid
+ */
+router.get('/sessions', authMiddleware, getSessions);
+router.delete('/sessions', authMiddleware, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/users/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out a single device session
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', authMiddleware, revokeUserSession);
+
+/**
+ * @swagger
+ * /api/users/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset link sent if an account with that email exists
+ *       400:
+ *         description: Email is required
+ */
+router.post('/forgot-password', authLimiter, forgotPassword);
+
+/**
+ * @swagger
+ * /api/users/reset-password/{token}:
+ *   post:
+ *     summary: Reset password using a reset token
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset successfully; existing tokens are revoked
+ *       400:
+ *         description: Invalid or expired token, or weak password
  */
-router.get('/refresh-token', authMiddleware, refreshToken);
+router.post('/reset-password/:token', authLimiter, resetPassword);
 
 /**
  * @swagger
@@ -193,19 +379,19 @@ router.get('/google-authenticate', passport.authenticate('google', { scope: ['pr
  */
 router.get('/auth/google/login', passport.authenticate('google', { failureRedirect: '/' }), async (req, res) => {
   try {
-    const token = jwt.sign(
-      { userId: req.user._id, isVerified: req.user.isVerified },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
+    const session = await createSession(req.user, req);
+    const cartMerge = await mergeGuestCartOnLogin(req, res, req.user._id);
 
     res.status(200).json({
       message: 'Login successful',
       data: req.user,
-      token,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      sessionId: session.sessionId,
+      cartMerge,
     });
   } catch (error) {
-    console.error('JWT Signing Error:', error);
+    console.error('Session creation error:', error);
     res.status(500).json({ message: 'Internal Server Error' });
   }
 });
@@ -0,0 +1,432 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const wishlistController = require('../controllers/wishlistController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { basicLimiter } = require('../middleware/rateLimiter');
+const { validate } = require('../middleware/validate');
+
+const wishlistId = param('wishlistId').isMongoId().withMessage('Invalid wishlist ID');
+const itemId = param('itemId').isMongoId().withMessage('Invalid item ID');
+
+const nameValidation = body('name')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Name must be 1-100 characters');
+
+const addItemValidation = [
+  wishlistId,
+  body('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID')
+];
+
+const moveToCartValidation = [
+  wishlistId,
+  itemId,
+  body('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt()
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Wishlist
+ *   description: Saved products, in named lists that can be shared
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Wishlist:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         shareToken:
+ *           type: string
+ *           nullable: true
+ *           description: Set while the list is shared (owner only)
+ *         owner:
+ *           type: string
+ *           description: Owner's name (shared view only)
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               product:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Null when the product has been removed from the catalogue
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   image:
+ *                     type: string
+ *                   hasVariants:
+ *                     type: boolean
+ *               variant:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   sku:
+ *                     type: string
+ *                   options:
+ *                     type: object
+ *               price:
+ *                 type: number
+ *                 description: Current price
+ *               available:
+ *                 type: integer
+ *                 description: Current available stock
+ *               inStock:
+ *                 type: boolean
+ *               addedAt:
+ *                 type: string
+ *                 format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/wishlist/shared/{token}:
+ *   get:
+ *     summary: View a shared wishlist
+ *     description: Read-only; no login needed.
+ *     tags: [Wishlist]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The shared wishlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Wishlist'
+ *       404:
+ *         description: Wishlist not found or no longer shared
+ */
+router.get('/shared/:token', basicLimiter, wishlistController.getSharedWishlist);
+
+// Everything else works on the signed-in user's own wishlists
+router.use(authMiddleware);
+
+/**
+ * @swagger
+ * /api/wishlist:
+ *   get:
+ *     summary: List your wishlists with current prices and stock
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Your wishlists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     wishlists:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Wishlist'
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create a named wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Birthday ideas
+ *     responses:
+ *       201:
+ *         description: Wishlist created successfully
+ *       400:
+ *         description: Invalid name, duplicate name or too many wishlists
+ */
+router.get('/', wishlistController.getWishlists);
+router.post('/', validate([nameValidation]), wishlistController.createWishlist);
+
+/**
+ * @swagger
+ * /api/wishlist/{wishlistId}:
+ *   get:
+ *     summary: Get one of your wishlists
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: wishlistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The wishlist
+ *       404:
+ *         description: Wishlist not found
+ *   patch:
+ *     summary: Rename a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: wishlistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist renamed successfully
+ *       400:
+ *         description: Invalid or duplicate name
+ *       404:
+ *         description: Wishlist not found
+ *   delete:
+ *     summary: Delete a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: wishlistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist deleted successfully
+ *       404:
+ *         description: Wishlist not found
+ */
+router.get('/:wishlistId', validate([wishlistId]), wishlistController.getWishlist);
+router.patch('/:wishlistId', validate([wishlistId, nameValidation]), wishlistController.renameWishlist);
+router.delete('/:wishlistId', validate([wishlistId]), wishlistController.deleteWishlist);
+
+/**
+ * @swagger
+ * /api/wishlist/{wishlistId}/items:
+ *   post:
+ *     summary: Save a product to a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: wishlistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Optional; a variant can also be chosen when moving to the cart
+ *     responses:
+ *       201:
+ *         description: Product added to wishlist
+ *       200:
+ *         description: Product was already in the wishlist
+ *       404:
+ *         description: Wishlist, product or variant not found
+ */
+router.post('/:wishlistId/items', validate(addItemValidation), wishlistController.addItem);
+
+/**
+ * @swagger
+ * /api/wishlist/{wishlistId}/items/{itemId}:
+ *   delete:
+ *     summary: Remove a product from a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: wishlistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product removed from wishlist
+ *       404:
+ *         description: Wishlist or item not found
+ */
+router.delete('/:wishlistId/items/:itemId', validate([wishlistId, itemId]), wishlistController.removeItem);
+
+/**
+ * @swagger
+ * /api/wishlist/{wishlistId}/items/{itemId}/move-to-cart:
+ *   post:
+ *     summary: Move a wishlist item to the cart
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: wishlistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *               variantId:
+ *                 type: string
+ *                 description: Required for products with variants when the item was saved without one
+ *     responses:
+ *       200:
+ *         description: Product moved to cart; returns the wishlist, cart and cart pricing
+ *       400:
+ *         description: Product unavailable, variant needed or not enough stock
+ *       404:
+ *         description: Wishlist, item or product not found
+ */
+router.post('/:wishlistId/items/:itemId/move-to-cart', validate(moveToCartValidation), wishlistController.moveToCart);
+
+/**
+ * @swagger
+ * /api/wishlist/{wishlistId}/share:
+ *   post:
+ *     summary: Create a public share link for a wishlist
+ *     description: Replaces any existing token, so older links stop working. View the list at /api/wishlist/shared/{token}.
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: wishlistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Share link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shareToken:
+ *                       type: string
+ *       404:
+ *         description: Wishlist not found
+ *   delete:
+ *     summary: Stop sharing a wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: wishlistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist is no longer shared
+ *       404:
+ *         description: Wishlist not found
+ */
+router.post('/:wishlistId/share', validate([wishlistId]), wishlistController.shareWishlist);
+router.delete('/:wishlistId/share', validate([wishlistId]), wishlistController.unshareWishlist);
+
+module.exports = router;
@@ -14,17 +14,30 @@ const orderRoutes = require('./routes/orderRoutes');
 const productRoutes = require('./routes/productRoutes');
 const cartRoutes = require('./routes/cartRoutes');
 const categoryRoutes = require('./routes/categoryRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const discountRoutes = require('./routes/discountRoutes');
+const wishlistRoutes = require('./routes/wishlistRoutes');
 const passport = require('passport');
 const session = require('express-session');
 const MongoStore = require('connect-mongo');
 const { basicLimiter } = require('./middleware/rateLimiter');
 const errorHandler = require('./middleware/errorHandler');
+const { getStorage } = require('./services/storage');
+const orderService = require('./services/orderService');
+const { sendAbandonedCartReminders } = require('./services/abandonedCartService');
 require('./middleware/passport');
 const swaggerJSDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 
 const app = express();
 let server;
+let reservationSweep;
+let cartReminders;
+
+// How often unpaid orders with expired stock reservations are cancelled
+const RESERVATION_SWEEP_INTERVAL = 60 * 1000;
+// How often carts are checked for abandoned-cart reminder emails
+const CART_REMINDER_INTERVAL = 60 * 60 * 1000;
 
 // Security Middleware
 app.use(helmet()); // Set security HTTP headers
@@ -36,7 +49,8 @@ app.use(basicLimiter); // Rate limiting
 app.use(cors({
   origin: true,  // Allow all origins
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Cart-Token'],
+  exposedHeaders: ['Idempotent-Replayed', 'X-Cart-Token'],
   credentials: true,
   optionsSuccessStatus: 200
 }));
@@ -45,7 +59,13 @@ app.use(cors({
 app.use(morgan('dev'));
 
 // Body Parser
-app.use(bodyParser.json({ limit: '10kb' }));
+app.use(bodyParser.json({
+  limit: '10kb',
+  // Keep the raw body for payment webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10kb' }));
 app.use(cookieParser());
 app.use(compression()); // Compress response bodies
@@ -126,12 +146,25 @@ app.get('/health', (req, res) => res.status(200).json({ status: 'ok' }));
 // Base Route
 app.get('/', (req, res) => res.send('Welcome to Capitalshop'));
 
+// Uploaded files, for storage backends this app serves itself (local disk)
+const { staticMount } = getStorage();
+if (staticMount) {
+  app.use(staticMount.route, express.static(staticMount.dir, {
+    maxAge: '7d',
+    // Let frontends on other origins embed the images despite helmet's default
+    setHeaders: res => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // API Routes
 app.use('/api/users', userRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/cart', cartRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/discounts', discountRoutes);
+app.use('/api/wishlist', wishlistRoutes);
 
 // 404 Handler
 app.all('*', (req, res, next) => {
@@ -153,6 +186,16 @@ const startServer = async () => {
     server = app.listen(PORT, () => {
       console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
     });
+    reservationSweep = setInterval(() => {
+      orderService.expireUnpaidOrders().catch(error => {
+        console.error('Failed to expire unpaid orders:', error.message);
+      });
+    }, RESERVATION_SWEEP_INTERVAL);
+    cartReminders = setInterval(() => {
+      sendAbandonedCartReminders().catch(error => {
+        console.error('Failed to send abandoned cart reminders:', error.message);
+      });
+    }, CART_REMINDER_INTERVAL);
   } catch (err) {
     console.error('Server startup error:', err);
     process.exit(1);
@@ -165,6 +208,8 @@ startServer();
 const gracefulShutdown = async () => {
   console.log('👋 SIGTERM RECEIVED. Shutting down gracefully');
   try {
+    clearInterval(reservationSweep);
+    clearInterval(cartReminders);
     if (server) {
       await new Promise((resolve) => server.close(resolve));
       console.log('💥 Process terminated!');
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const Cart = require('../models/cart');
+const Discount = require('../models/discount');
+const sendMail = require('../helper/email');
+const abandonedCartTemplate = require('../helper/abandonedCart');
+
+const HOUR = 60 * 60 * 1000;
+
+// A cart untouched this long gets a first reminder, and a second once it has
+// been untouched for the second period
+const FIRST_REMINDER_HOURS = parseInt(process.env.ABANDONED_CART_HOURS) || 24;
+const SECOND_REMINDER_HOURS = parseInt(process.env.ABANDONED_CART_SECOND_REMINDER_HOURS) || 72;
+const MAX_REMINDERS = 2;
+const BATCH_SIZE = 100;
+
+// Percentage off offered with the second reminder; 0 (the default) sends no code
+const REMINDER_DISCOUNT_PERCENT = parseInt(process.env.ABANDONED_CART_DISCOUNT_PERCENT) || 0;
+const REMINDER_DISCOUNT_DAYS = parseInt(process.env.ABANDONED_CART_DISCOUNT_DAYS) || 7;
+const REMINDER_CODE_PREFIX = 'COMEBACK-';
+
+// Unsubscribe links point at this API rather than the storefront
+const API_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 9898}`).replace(/\/+$/, '');
+
+// The storefront cart page, or the cart API when no storefront is configured
+const CART_URL = process.env.CLIENT_URL ? `${process.env.CLIENT_URL}/cart` : `${API_URL}/api/cart`;
+
+const unsubscribeSignature = userId =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(`cart-reminders:${userId}`).digest('base64url');
+
+// Unsubscribe links carry the user id and a signature over it, so they work
+// without logging in
+const unsubscribeToken = userId => `${userId}.${unsubscribeSignature(userId)}`;
+
+// The user id from an unsubscribe token, or null when it does not verify
+const verifyUnsubscribeToken = token => {
+  const [userId, signature] = String(token).split('.');
+  if (!userId || !signature) {
+    return null;
+  }
+  const expected = Buffer.from(unsubscribeSignature(userId));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? userId : null;
+};
+
+// The cart lines worth reminding about: ones that can still be bought
+const reminderItems = cart =>
+  cart.items.reduce((items, item) => {
+    const product = item.product;
+    if (!product || !product.isActive) {
+      return items;
+    }
+    const variant = item.variant ? product.variants.id(item.variant) : null;
+    if (item.variant && (!variant || !variant.isActive)) {
+      return items;
+    }
+    if (product.availableFor(variant) > 0) {
+      items.push({ name: product.displayName(variant), quantity: item.quantity, price: product.priceFor(variant) });
+    }
+    return items;
+  }, []);
+
+// The code can only be redeemed by the shopper it was sent to
+const createReminderDiscount = userId => Discount.create({
+  code: `${REMINDER_CODE_PREFIX}${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+  description: 'Abandoned cart reminder',
+  discountType: 'percentage',
+  amount: REMINDER_DISCOUNT_PERCENT,
+  usageLimit: 1,
+  perUserLimit: 1,
+  user: userId,
+  expiresAt: new Date(Date.now() + REMINDER_DISCOUNT_DAYS * 24 * HOUR)
+});
+
+// The code to send with a second reminder. Shoppers get at most one code per
+// ABANDONED_CART_DISCOUNT_DAYS, however often they restart the sequence by
+// changing their cart: an unredeemed code is sent again, and once it has been
+// used no new one is issued until the period is over.
+const reminderDiscountFor = async userId => {
+  const recent = await Discount.findOne({
+    user: userId,
+    code: { $regex: `^${REMINDER_CODE_PREFIX}` },
+    createdAt: { $gt: new Date(Date.now() - REMINDER_DISCOUNT_DAYS * 24 * HOUR) }
+  }).sort({ createdAt: -1 });
+  if (!recent) {
+    return createReminderDiscount(userId);
+  }
+
+  const unredeemed = recent.isActive && recent.usageCount < recent.usageLimit && recent.expiresAt > new Date();
+  return unredeemed ? recent : null;
+};
+
+/**
+ * Email shoppers whose carts have sat untouched: a first reminder after
+ * ABANDONED_CART_HOURS and a second after ABANDONED_CART_SECOND_REMINDER_HOURS,
+ * which can carry a single-use discount code, at most one per shopper each
+ * ABANDONED_CART_DISCOUNT_DAYS. Guest carts have no address and
+ * are skipped, as are users who unsubscribed. Each reminder is claimed before
+ * it is sent, so overlapping runs never send it twice; changing the cart's
+ * lines starts the sequence over. Runs on a timer (see server.js).
+ *
+ * @returns {Promise<number>} the number of reminders sent
+ */
+const sendAbandonedCartReminders = async () => {
+  const now = Date.now();
+  const carts = await Cart.find({
+    user: { $ne: null },
+    'items.0': { $exists: true },
+    $or: [
+      { remindersSent: 0, updatedAt: { $lte: new Date(now - FIRST_REMINDER_HOURS * HOUR) } },
+      { remindersSent: 1, updatedAt: { $lte: new Date(now - SECOND_REMINDER_HOURS * HOUR) } }
+    ]
+  })
+    .sort({ updatedAt: 1 })
+    .limit(BATCH_SIZE)
+    .populate('user', 'name email cartRemindersUnsubscribed')
+    .populate('items.product');
+
+  let sent = 0;
+  for (const cart of carts) {
+    const reminder = cart.remindersSent + 1;
+    const items = reminderItems(cart);
+    const wanted = Boolean(cart.user && !cart.user.cartRemindersUnsubscribed && items.length > 0);
+
+    // Carts not worth a reminder are marked done until the shopper is back
+    const claimed = await Cart.findOneAndUpdate(
+      { _id: cart._id, remindersSent: cart.remindersSent, updatedAt: cart.updatedAt },
+      wanted
+        ? { $set: { remindersSent: reminder, lastReminderAt: new Date() } }
+        : { $set: { remindersSent: MAX_REMINDERS } },
+      { timestamps: false }
+    );
+    if (!claimed || !wanted) {
+      continue;
+    }
+
+    let discount = null;
+    const reminderDiscount = reminder === MAX_REMINDERS && REMINDER_DISCOUNT_PERCENT > 0
+      ? await reminderDiscountFor(cart.user._id)
+      : null;
+    if (reminderDiscount) {
+      discount = { code: reminderDiscount.code, percent: reminderDiscount.amount, expiresAt: reminderDiscount.expiresAt };
+      // Applied for them unless they already chose a code
+      await Cart.updateOne({ _id: cart._id, discountCode: null }, { discountCode: reminderDiscount.code }, { timestamps: false });
+    }
+
+    const unsubscribeUrl = `${API_URL}/api/users/cart-reminders/unsubscribe/${unsubscribeToken(cart.user._id)}`;
+    try {
+      await sendMail({
+        email: cart.user.email,
+        subject: discount ? `${discount.percent}% off the items in your cart` : 'You left items in your cart',
+        text: [
+          `Hello ${cart.user.name}, these items are still in your cart:`,
+          ...items.map(item => `${item.quantity} x ${item.name}`),
+          discount ? `Use code ${discount.code} for ${discount.percent}% off. It can be used once.` : null,
+          `Return to your cart: ${CART_URL}`,
+          `Unsubscribe from cart reminders: ${unsubscribeUrl}`
+        ].filter(Boolean).join('\n'),
+        html: abandonedCartTemplate({ name: cart.user.name, items, cartUrl: CART_URL, discount, unsubscribeUrl })
+      });
+      sent++;
+    } catch (error) {
+      console.error(`Failed to send cart reminder to ${cart.user.email}:`, error.message);
+    }
+  }
+  return sent;
+};
+
+module.exports = {
+  verifyUnsubscribeToken,
+  sendAbandonedCartReminders
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const Product = require('../models/product');
+const StockSubscription = require('../models/stockSubscription');
+const sendMail = require('../helper/email');
+const backInStockTemplate = require('../helper/backInStock');
+
+// Unsubscribe links point at this API rather than the storefront
+const API_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 9898}`).replace(/\/+$/, '');
+
+const unsubscribeSignature = encodedEmail =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(`back-in-stock:${encodedEmail}`).digest('base64url');
+
+// Guests subscribe without proving they own the address, so every email
+// carries a link, signed over the address, that works without logging in
+const unsubscribeToken = email => {
+  const encodedEmail = Buffer.from(email).toString('base64url');
+  return `${encodedEmail}.${unsubscribeSignature(encodedEmail)}`;
+};
+
+// The email address from an unsubscribe token, or null when it does not verify
+const verifyUnsubscribeToken = token => {
+  const [encodedEmail, signature] = String(token).split('.');
+  if (!encodedEmail || !signature) {
+    return null;
+  }
+  const expected = Buffer.from(unsubscribeSignature(encodedEmail));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  return Buffer.from(encodedEmail, 'base64url').toString();
+};
+
+// The subscription's product or variant, if it can be bought again
+const availableTarget = (product, subscription) => {
+  if (!product || !product.isActive) {
+    return null;
+  }
+  const variant = subscription.variant ? product.variants.id(subscription.variant) : null;
+  if (subscription.variant && (!variant || !variant.isActive)) {
+    return null;
+  }
+  return product.availableFor(variant) > 0 ? { variant } : null;
+};
+
+/**
+ * Email everyone waiting for a product, or one of its variants, that has
+ * stock available again. Each subscription is removed before its email is
+ * sent, so concurrent checks never email a subscriber twice.
+ *
+ * @param {Array<string>} productIds
+ * @returns {Promise<number>} the number of subscribers notified
+ */
+const notifyBackInStock = async productIds => {
+  const subscriptions = await StockSubscription.find({ product: { $in: productIds } });
+  if (subscriptions.length === 0) {
+    return 0;
+  }
+
+  const products = await Product.find({ _id: { $in: subscriptions.map(subscription => subscription.product) } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  let notified = 0;
+  for (const subscription of subscriptions) {
+    const product = productsById.get(subscription.product.toString());
+    const target = availableTarget(product, subscription);
+    if (!target) {
+      continue;
+    }
+
+    const claimed = await StockSubscription.findOneAndDelete({ _id: subscription._id });
+    if (!claimed) {
+      continue;
+    }
+
+    const name = product.displayName(target.variant);
+    const productUrl = process.env.CLIENT_URL ? `${process.env.CLIENT_URL}/products/${product._id}` : null;
+    const unsubscribeUrl = `${API_URL}/api/products/subscriptions/unsubscribe/${unsubscribeToken(subscription.email)}`;
+    try {
+      await sendMail({
+        email: subscription.email,
+        subject: `${product.name} is back in stock`,
+        text: [
+          `${name} is back in stock.`,
+          productUrl,
+          `Stop all back-in-stock emails to this address: ${unsubscribeUrl}`
+        ].filter(Boolean).join('\n'),
+        html: backInStockTemplate(name, productUrl, unsubscribeUrl)
+      });
+      notified++;
+    } catch (error) {
+      console.error(`Failed to send back-in-stock email to ${subscription.email}:`, error.message);
+    }
+  }
+  return notified;
+};
+
+module.exports = {
+  verifyUnsubscribeToken,
+  notifyBackInStock
+};
@@ -0,0 +1,99 @@
+const Cart = require('../models/cart');
+const discountEngine = require('./discountEngine');
+
+const roundMoney = value => parseFloat(value.toFixed(2));
+
+/**
+ * Build a pricing line for a product, or one of its variants.
+ *
+ * @param {Product} product
+ * @param {?string} variantId
+ * @param {number} quantity
+ * @returns {{product: Product, variant: ?string, quantity: number, price: number}}
+ */
+const buildLine = (product, variantId, quantity) => {
+  const variant = variantId ? product.variants.id(variantId) : null;
+  return {
+    product,
+    variant: variant ? variant._id : undefined,
+    quantity,
+    price: product.priceFor(variant)
+  };
+};
+
+// Pricing lines for the cart items whose product still exists
+const cartLines = cart =>
+  (cart ? cart.items : [])
+    .filter(item => item.product)
+    .map(item => buildLine(item.product, item.variant, item.quantity));
+
+const priceWithoutDiscount = lines => {
+  const pricedLines = lines.map(line => {
+    const lineSubtotal = roundMoney(line.price * line.quantity);
+    return {
+      product: line.product._id,
+      variant: line.variant,
+      quantity: line.quantity,
+      unitPrice: line.price,
+      lineSubtotal,
+      discount: 0,
+      lineTotal: lineSubtotal
+    };
+  });
+  const subtotal = roundMoney(pricedLines.reduce((sum, line) => sum + line.lineSubtotal, 0));
+
+  return { subtotal, discountAmount: 0, total: subtotal, lines: pricedLines };
+};
+
+/**
+ * Price a cart line by line and re-validate its discount code against the
+ * current contents. A code that no longer applies is removed from the cart,
+ * and the reason is returned so the client can tell the shopper.
+ *
+ * @param {Cart} cart - with items.product populated
+ * @param {string} userId - needed for per-user and first-order rules
+ * @returns {Promise<{subtotal: number, discountCode: ?string, discountAmount: number, total: number, lines: Object[], discountRemoved?: {code: string, reason: string}}>}
+ */
+const priceCart = async (cart, userId) => {
+  const lines = cartLines(cart);
+  const code = cart && cart.discountCode;
+
+  if (code) {
+    const discount = await discountEngine.findByCode(code);
+    const evaluation = discount
+      ? await discountEngine.evaluateDiscount({ discount, lines, userId })
+      : null;
+
+    if (evaluation && evaluation.applicable) {
+      return {
+        subtotal: evaluation.subtotal,
+        discountCode: discount.code,
+        discountAmount: evaluation.discountAmount,
+        total: evaluation.total,
+        lines: evaluation.lines
+      };
+    }
+
+    // Pricing also runs when the cart is only viewed, which is not shopper
+    // activity, so updatedAt and the reminder sequence are left alone
+    cart.discountCode = undefined;
+    await Cart.updateOne({ _id: cart._id, discountCode: code }, { $unset: { discountCode: 1 } }, { timestamps: false });
+
+    return {
+      ...priceWithoutDiscount(lines),
+      discountCode: null,
+      discountRemoved: {
+        code,
+        reason: evaluation ? evaluation.reasons[0] : 'Invalid or expired discount code'
+      }
+    };
+  }
+
+  return { ...priceWithoutDiscount(lines), discountCode: null };
+};
+
+module.exports = {
+  buildLine,
+  cartLines,
+  priceCart
+};
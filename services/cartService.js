@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const Cart = require('../models/cart');
+const Product = require('../models/product');
+const createError = require('../utils/error');
+
+// Cart lines are keyed by product and, for products with variants, variant
+const isSameLine = (item, productId, variantId) =>
+  item.product.toString() === String(productId) &&
+  (item.variant ? item.variant.toString() : undefined) === (variantId ? String(variantId) : undefined);
+
+/**
+ * Find the variant a cart line refers to. Products with variants can only be
+ * added as a specific, active variant.
+ *
+ * @param {Product} product
+ * @param {string} [variantId]
+ * @returns {?Object} the variant, or null for products without variants
+ */
+const resolveCartVariant = (product, variantId) => {
+  if (!product.isActive) {
+    throw createError(400, 'This product is no longer available');
+  }
+
+  if (!product.hasVariants) {
+    if (variantId) {
+      throw createError(400, 'This product has no variants');
+    }
+    return null;
+  }
+
+  if (!variantId || !mongoose.Types.ObjectId.isValid(variantId)) {
+    throw createError(400, 'Please choose a variant of this product');
+  }
+  const variant = product.variants.id(variantId);
+  if (!variant || !variant.isActive) {
+    throw createError(400, 'This variant is no longer available');
+  }
+  return variant;
+};
+
+/**
+ * Add units of a product, or one of its variants, to a cart document without
+ * going over the stock available (stock not held by unpaid checkouts). The
+ * caller saves the cart.
+ *
+ * @param {Cart} cart
+ * @param {Product} product
+ * @param {?Object} variant - from resolveCartVariant
+ * @param {number} quantity
+ */
+const addToCart = (cart, product, variant, quantity) => {
+  const available = product.availableFor(variant);
+  if (available < quantity) {
+    throw createError(400, 'Not enough stock available');
+  }
+
+  const item = cart.items.find(line => isSameLine(line, product._id, variant ? variant._id : undefined));
+  if (!item) {
+    cart.items.push({
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      quantity,
+      priceWhenAdded: product.priceFor(variant)
+    });
+    return;
+  }
+
+  if (item.quantity + quantity > available) {
+    throw createError(400, 'Adding this quantity would exceed available stock');
+  }
+  item.quantity += quantity;
+};
+
+/**
+ * Park a cart line in the saved-for-later list, adding to a saved copy of the
+ * same line if there is one. The caller saves the cart.
+ *
+ * @param {Cart} cart
+ * @param {string} productId
+ * @param {string} [variantId]
+ */
+const saveForLater = (cart, productId, variantId) => {
+  const item = cart.items.find(line => isSameLine(line, productId, variantId));
+  if (!item) {
+    throw createError(404, 'Item not in cart');
+  }
+
+  const saved = cart.savedForLater.find(line => isSameLine(line, productId, variantId));
+  if (saved) {
+    saved.quantity += item.quantity;
+  } else {
+    cart.savedForLater.push({
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity,
+      priceWhenAdded: item.priceWhenAdded
+    });
+  }
+  cart.items.pull(item._id);
+};
+
+/**
+ * Move a saved line back into the cart, checked against stock like any other
+ * add. It keeps its original price snapshot. The caller saves the cart.
+ *
+ * @param {Cart} cart
+ * @param {Product} product
+ * @param {?Object} variant - from resolveCartVariant
+ */
+const moveSavedToCart = (cart, product, variant) => {
+  const variantId = variant ? variant._id : undefined;
+  const saved = cart.savedForLater.find(line => isSameLine(line, product._id, variantId));
+  if (!saved) {
+    throw createError(404, 'Item not in saved for later');
+  }
+
+  const isNewLine = !cart.items.some(line => isSameLine(line, product._id, variantId));
+  addToCart(cart, product, variant, saved.quantity);
+  if (isNewLine && saved.priceWhenAdded !== undefined) {
+    cart.items[cart.items.length - 1].priceWhenAdded = saved.priceWhenAdded;
+  }
+  cart.savedForLater.pull(saved._id);
+};
+
+// Add a guest's saved-for-later lines to the user's; nothing is being bought,
+// so there is no stock to check
+const mergeSavedLines = (cart, guestCart) => {
+  for (const item of guestCart.savedForLater) {
+    const saved = cart.savedForLater.find(line => isSameLine(line, item.product, item.variant));
+    if (saved) {
+      saved.quantity += item.quantity;
+    } else {
+      cart.savedForLater.push({
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity,
+        priceWhenAdded: item.priceWhenAdded
+      });
+    }
+  }
+};
+
+/**
+ * Move a guest cart into a user's cart after they log in or register. Each
+ * line is capped at the stock still available once the user's own cart is
+ * counted; lines that can no longer be bought are left out. Saved-for-later
+ * lines are carried over as they are. The merge and the removal of the guest
+ * cart happen in one transaction, so the cart is merged exactly once.
+ *
+ * @param {string} cartId - the guest cart named by the cart token
+ * @param {string} userId
+ * @returns {Promise<?{merged: Object[], adjusted: Object[], skipped: Object[]}>}
+ *   null when there was no guest cart to merge
+ */
+const mergeGuestCart = async (cartId, userId) => {
+  let report = null;
+  const session = await mongoose.startSession();
+  try {
+    // The guest cart is only deleted once the user's cart is saved, and a
+    // concurrent merge of the same cart conflicts and finds it gone on retry
+    await session.withTransaction(async () => {
+      report = null;
+      const guestCart = await Cart.findOne({ _id: cartId, user: null }).session(session);
+      if (!guestCart) {
+        return;
+      }
+
+      report = { merged: [], adjusted: [], skipped: [] };
+      if (guestCart.items.length === 0 && guestCart.savedForLater.length === 0) {
+        await Cart.deleteOne({ _id: guestCart._id }, { session });
+        return;
+      }
+
+      const cart = await Cart.findOneAndUpdate(
+        { user: userId },
+        { $setOnInsert: { user: userId, items: [] } },
+        { new: true, upsert: true, session }
+      );
+      const products = await Product.find({ _id: { $in: guestCart.items.map(item => item.product) } }).session(session);
+      const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+      for (const item of guestCart.items) {
+        const product = productsById.get(item.product.toString());
+        const line = {
+          product: item.product,
+          variant: item.variant || null,
+          name: product ? product.name : undefined,
+          requested: item.quantity
+        };
+        if (!product) {
+          report.skipped.push({ ...line, reason: 'This product is no longer available' });
+          continue;
+        }
+
+        let variant;
+        try {
+          variant = resolveCartVariant(product, item.variant && item.variant.toString());
+        } catch (error) {
+          report.skipped.push({ ...line, reason: error.message });
+          continue;
+        }
+
+        const existing = cart.items.find(cartItem => isSameLine(cartItem, product._id, item.variant));
+        const room = product.availableFor(variant) - (existing ? existing.quantity : 0);
+        const quantity = Math.min(item.quantity, room);
+        if (quantity <= 0) {
+          report.skipped.push({ ...line, reason: 'Not enough stock available' });
+          continue;
+        }
+
+        if (existing) {
+          existing.quantity += quantity;
+        } else {
+          cart.items.push({
+            product: product._id,
+            variant: item.variant,
+            quantity,
+            priceWhenAdded: item.priceWhenAdded !== undefined ? item.priceWhenAdded : product.priceFor(variant)
+          });
+        }
+        if (quantity < item.quantity) {
+          report.adjusted.push({ ...line, quantity });
+        } else {
+          report.merged.push({ ...line, quantity });
+        }
+      }
+
+      mergeSavedLines(cart, guestCart);
+
+      // The user's own code wins; it is re-validated the next time the cart is priced
+      if (!cart.discountCode && guestCart.discountCode) {
+        cart.discountCode = guestCart.discountCode;
+      }
+      await cart.save({ session });
+      await Cart.deleteOne({ _id: guestCart._id }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return report;
+};
+
+module.exports = {
+  isSameLine,
+  resolveCartVariant,
+  addToCart,
+  saveForLater,
+  moveSavedToCart,
+  mergeGuestCart
+};
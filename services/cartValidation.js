@@ -0,0 +1,133 @@
+const Cart = require('../models/cart');
+
+// When set, validation also fixes the cart: lines that can no longer be bought
+// are removed and quantities are lowered to the stock available
+const CART_AUTO_ADJUST = process.env.CART_AUTO_ADJUST === 'true';
+
+const warning = (code, message, details) => ({ code, message, ...details });
+
+// Why a cart line cannot be bought any more, if it cannot
+const unavailableReason = (product, variantId) => {
+  if (!product || !product.isActive) {
+    return 'This product is no longer available';
+  }
+  if (!product.hasVariants) {
+    return variantId ? 'This product is no longer sold in this option' : null;
+  }
+  if (!variantId) {
+    return 'Please choose a variant of this product';
+  }
+  const variant = product.variants.id(variantId);
+  return variant && variant.isActive ? null : 'This variant is no longer available';
+};
+
+// Check one list of cart lines, collecting warnings and, when adjusting,
+// fixing quantities in place. Returns the ids of lines to remove and whether
+// any line was changed.
+const checkLines = (items, { adjust, warnings, changes }) => {
+  let modified = false;
+  const removed = [];
+
+  for (const item of items) {
+    const product = item.product;
+    const line = {
+      product: product ? product._id : null,
+      variant: item.variant || null,
+      name: product ? product.name : undefined
+    };
+    const lineWarnings = [];
+
+    const reason = unavailableReason(product, item.variant);
+    if (reason) {
+      if (adjust) {
+        changes.push({ type: 'removed', ...line, quantity: item.quantity, reason });
+        removed.push(item._id);
+        continue;
+      }
+      lineWarnings.push(warning('unavailable', reason));
+      warnings.set(item._id.toString(), lineWarnings);
+      continue;
+    }
+
+    const variant = item.variant ? product.variants.id(item.variant) : null;
+    const available = product.availableFor(variant);
+    if (available === 0) {
+      if (adjust) {
+        changes.push({ type: 'removed', ...line, quantity: item.quantity, reason: 'Out of stock' });
+        removed.push(item._id);
+        continue;
+      }
+      lineWarnings.push(warning('out_of_stock', 'This product is out of stock', { available }));
+    } else if (item.quantity > available) {
+      if (adjust) {
+        changes.push({ type: 'quantity_reduced', ...line, from: item.quantity, to: available });
+        item.quantity = available;
+        modified = true;
+      } else {
+        lineWarnings.push(warning('reduced_stock', `Only ${available} left in stock`, { available }));
+      }
+    }
+
+    const price = product.priceFor(variant);
+    if (item.priceWhenAdded === undefined || item.priceWhenAdded === null) {
+      item.priceWhenAdded = price;
+      modified = true;
+    } else if (item.priceWhenAdded !== price) {
+      lineWarnings.push(warning(
+        'price_changed',
+        `Price changed from ${item.priceWhenAdded} to ${price} since this was added`,
+        { priceWhenAdded: item.priceWhenAdded, price }
+      ));
+    }
+
+    if (lineWarnings.length > 0) {
+      warnings.set(item._id.toString(), lineWarnings);
+    }
+  }
+
+  return { removed, modified };
+};
+
+/**
+ * Check a cart against the catalogue as it is now, so shoppers hear about
+ * removed products, stock shortfalls and price changes before checkout.
+ * Saved-for-later lines get the same warnings but are never adjusted. Lines
+ * added before price snapshots existed get one now. Fixes are written without
+ * touching updatedAt, since reading the cart is not shopper activity, and are
+ * skipped if the cart changed in the meantime; the next read redoes them.
+ *
+ * @param {Cart} cart - with items.product and savedForLater.product populated
+ * @param {Object} [options]
+ * @param {boolean} [options.adjust] - remove unavailable lines and lower quantities to stock; defaults to CART_AUTO_ADJUST
+ * @returns {Promise<{warnings: Map<string, Object[]>, changes: Object[]}>}
+ *   warnings by cart item id, and what was adjusted
+ */
+const validateCart = async (cart, { adjust = CART_AUTO_ADJUST } = {}) => {
+  const warnings = new Map();
+  const changes = [];
+  if (!cart) {
+    return { warnings, changes };
+  }
+
+  const active = checkLines(cart.items, { adjust, warnings, changes });
+  const saved = checkLines(cart.savedForLater, { adjust: false, warnings, changes });
+
+  if (active.removed.length > 0) {
+    cart.items.pull(...active.removed);
+  }
+  if (active.modified || active.removed.length > 0 || saved.modified) {
+    const { items, savedForLater } = cart.toObject({ depopulate: true });
+    await Cart.updateOne(
+      { _id: cart._id, updatedAt: cart.updatedAt },
+      { $set: { items, savedForLater } },
+      { timestamps: false }
+    );
+  }
+
+  return { warnings, changes };
+};
+
+module.exports = {
+  CART_AUTO_ADJUST,
+  validateCart
+};
@@ -0,0 +1,244 @@
+const Category = require('../models/category');
+const Discount = require('../models/discount');
+const Order = require('../models/order');
+const createError = require('../utils/error');
+
+const roundMoney = value => parseFloat(value.toFixed(2));
+
+// Expand the scoped categories to include every subcategory in the tree
+const expandCategories = async (categoryIds, session) => {
+  const all = new Set(categoryIds.map(id => id.toString()));
+  let frontier = [...all];
+
+  while (frontier.length) {
+    const children = await Category.find({ parent: { $in: frontier } }, '_id').session(session || null);
+    frontier = children.map(child => child._id.toString()).filter(id => !all.has(id));
+    frontier.forEach(id => all.add(id));
+  }
+
+  return all;
+};
+
+const buildEligibilityCheck = async (discount, session) => {
+  const productIds = new Set((discount.appliesTo?.products || []).map(id => id.toString()));
+  const scopedCategories = discount.appliesTo?.categories || [];
+  const categoryIds = scopedCategories.length ? await expandCategories(scopedCategories, session) : new Set();
+
+  if (!productIds.size && !categoryIds.size) {
+    return () => true;
+  }
+
+  return product => {
+    const categoryId = product.category?._id || product.category;
+    return productIds.has(product._id.toString()) ||
+      (categoryId && categoryIds.has(categoryId.toString()));
+  };
+};
+
+// Buy-X-get-Y: within the eligible units, every group of buy + get units
+// discounts its cheapest `get` units
+const calculateBuyXGetY = (discount, eligibleLines) => {
+  const unitPrices = eligibleLines
+    .flatMap(line => Array(line.quantity).fill(line.unitPrice))
+    .sort((a, b) => b - a);
+  const groupSize = discount.buyQuantity + discount.getQuantity;
+  const freeUnits = Math.floor(unitPrices.length / groupSize) * discount.getQuantity;
+  const freeValue = unitPrices.slice(unitPrices.length - freeUnits).reduce((sum, price) => sum + price, 0);
+  return freeValue * (discount.getDiscountPercent / 100);
+};
+
+const calculateRawAmount = (discount, eligibleSubtotal, eligibleLines) => {
+  switch (discount.discountType) {
+    case 'fixed':
+      return discount.amount;
+    case 'percentage':
+      return eligibleSubtotal * (discount.amount / 100);
+    case 'buy_x_get_y':
+      return calculateBuyXGetY(discount, eligibleLines);
+    default:
+      return 0;
+  }
+};
+
+// Spread the discount over eligible lines in proportion to their value. The
+// last eligible line absorbs rounding so the parts add up to the total.
+const allocateToLines = (lines, discountAmount, eligibleSubtotal) => {
+  let remaining = discountAmount;
+  const lastEligible = lines.map(line => line.eligible).lastIndexOf(true);
+
+  return lines.map((line, index) => {
+    let discount = 0;
+    if (line.eligible && eligibleSubtotal > 0) {
+      discount = index === lastEligible
+        ? remaining
+        : roundMoney(discountAmount * (line.lineSubtotal / eligibleSubtotal));
+      remaining = roundMoney(remaining - discount);
+    }
+    return { ...line, discount, lineTotal: roundMoney(line.lineSubtotal - discount) };
+  });
+};
+
+const checkRules = async (discount, { subtotal, eligibleSubtotal, userId, session, now }) => {
+  const reasons = [];
+
+  if (!discount.isActive) {
+    reasons.push('Discount is inactive');
+  }
+  if (discount.startsAt && discount.startsAt > now) {
+    reasons.push('Discount is not active yet');
+  }
+  if (discount.expiresAt <= now) {
+    reasons.push('Discount has expired');
+  }
+  if (discount.usageLimit && discount.usageCount >= discount.usageLimit) {
+    reasons.push('Discount usage limit has been reached');
+  }
+  if (subtotal < (discount.minSubtotal || 0)) {
+    reasons.push(`Minimum spend of ${discount.minSubtotal} not reached`);
+  }
+  if (eligibleSubtotal <= 0) {
+    reasons.push('No items in the cart are eligible for this discount');
+  }
+  if (discount.user && userId && discount.user.toString() !== userId.toString()) {
+    reasons.push('This code is not valid for your account');
+  }
+
+  if (userId && (discount.perUserLimit || discount.firstOrderOnly)) {
+    const activeOrders = { user: userId, orderStatus: { $ne: 'cancelled' } };
+
+    if (discount.perUserLimit) {
+      const used = await Order.countDocuments({ ...activeOrders, 'discount.code': discount.code }).session(session || null);
+      if (used >= discount.perUserLimit) {
+        reasons.push('You have already used this discount the maximum number of times');
+      }
+    }
+
+    if (discount.firstOrderOnly) {
+      const previousOrders = await Order.countDocuments(activeOrders).session(session || null);
+      if (previousOrders > 0) {
+        reasons.push('Discount is only valid on your first order');
+      }
+    }
+  } else if (!userId && (discount.user || discount.perUserLimit || discount.firstOrderOnly)) {
+    reasons.push('Sign in to use this discount');
+  }
+
+  return reasons;
+};
+
+/**
+ * Evaluate a discount against a set of lines without changing anything.
+ *
+ * @param {Object} params
+ * @param {Discount} params.discount
+ * @param {Array<{product: Object, variant?: string, quantity: number, price?: number}>} params.lines - product must have _id, price and category; price overrides product.price
+ * @param {string} [params.userId] - needed for per-user, first-order and single-user rules
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<{applicable: boolean, reasons: string[], subtotal: number, eligibleSubtotal: number, discountAmount: number, total: number, lines: Object[]}>}
+ */
+const evaluateDiscount = async ({ discount, lines, userId, session }) => {
+  const isEligible = await buildEligibilityCheck(discount, session);
+
+  const pricedLines = lines.map(line => {
+    const unitPrice = line.price !== undefined ? line.price : line.product.price;
+    return {
+      product: line.product._id,
+      variant: line.variant,
+      quantity: line.quantity,
+      unitPrice,
+      lineSubtotal: roundMoney(unitPrice * line.quantity),
+      eligible: isEligible(line.product)
+    };
+  });
+
+  const subtotal = roundMoney(pricedLines.reduce((sum, line) => sum + line.lineSubtotal, 0));
+  const eligibleLines = pricedLines.filter(line => line.eligible);
+  const eligibleSubtotal = roundMoney(eligibleLines.reduce((sum, line) => sum + line.lineSubtotal, 0));
+
+  const reasons = await checkRules(discount, { subtotal, eligibleSubtotal, userId, session, now: new Date() });
+
+  let discountAmount = 0;
+  if (!reasons.length) {
+    discountAmount = calculateRawAmount(discount, eligibleSubtotal, eligibleLines);
+    if (discount.maxDiscountAmount !== null && discount.maxDiscountAmount !== undefined) {
+      discountAmount = Math.min(discountAmount, discount.maxDiscountAmount);
+    }
+    discountAmount = roundMoney(Math.min(eligibleSubtotal, Math.max(0, discountAmount)));
+  }
+
+  return {
+    applicable: reasons.length === 0,
+    reasons,
+    subtotal,
+    eligibleSubtotal,
+    discountAmount,
+    total: roundMoney(subtotal - discountAmount),
+    lines: allocateToLines(pricedLines, discountAmount, eligibleSubtotal)
+  };
+};
+
+const findByCode = (code, session) =>
+  Discount.findOne({ code: Discount.normaliseCode(code) }).session(session || null);
+
+/**
+ * Look up a code and evaluate it, throwing a 400 with the first failing rule
+ * when it cannot be applied.
+ *
+ * @returns {Promise<{discount: Discount, evaluation: Object}>}
+ */
+const applyDiscountCode = async ({ code, lines, userId, session }) => {
+  const discount = await findByCode(code, session);
+  if (!discount) {
+    throw createError(400, 'Invalid or expired discount code');
+  }
+
+  const evaluation = await evaluateDiscount({ discount, lines, userId, session });
+  if (!evaluation.applicable) {
+    throw createError(400, evaluation.reasons[0]);
+  }
+
+  return { discount, evaluation };
+};
+
+// Count a use of the code, enforcing the global usage limit atomically
+const recordRedemption = async (discount, session) => {
+  const result = await Discount.updateOne(
+    {
+      _id: discount._id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } },
+    { session }
+  );
+  if (result.modifiedCount === 0) {
+    throw createError(400, 'Discount usage limit has been reached');
+  }
+};
+
+// Give a use back, e.g. when an order placed with the code is cancelled
+const releaseRedemption = (code, session) =>
+  Discount.updateOne(
+    { code: Discount.normaliseCode(code), usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } },
+    { session }
+  );
+
+// Snapshot of the discount stored on orders (and carts)
+const buildSnapshot = (discount, evaluation) => ({
+  code: discount.code,
+  discountType: discount.discountType,
+  value: discount.discountType === 'buy_x_get_y' ? discount.getDiscountPercent : discount.amount,
+  amount: evaluation.discountAmount
+});
+
+module.exports = {
+  evaluateDiscount,
+  findByCode,
+  applyDiscountCode,
+  recordRedemption,
+  releaseRedemption,
+  buildSnapshot
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage, deleteAsset } = require('./storage');
+
+// Rendition name to maximum width in pixels; images are never enlarged
+const RENDITIONS = {
+  thumbnail: 150,
+  medium: 600,
+  large: 1200
+};
+
+// File signatures of the image types we accept. SVG is deliberately absent:
+// it can carry scripts.
+const SIGNATURES = [
+  { type: 'jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { type: 'png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'gif', offset: 0, bytes: Buffer.from('GIF8') },
+  { type: 'webp', offset: 8, bytes: Buffer.from('WEBP'), riff: true }
+];
+
+// Stored format for each input type. GIFs keep their first frame as PNG.
+const OUTPUT_FORMATS = {
+  jpeg: 'jpeg',
+  png: 'png',
+  gif: 'png',
+  webp: 'webp'
+};
+
+/**
+ * Identify an image by its leading bytes rather than its declared mimetype.
+ *
+ * @param {Buffer} header - at least the first 12 bytes of the file
+ * @returns {?string} jpeg, png, gif or webp; null for anything else
+ */
+const detectImageType = header => {
+  const match = SIGNATURES.find(({ offset, bytes, riff }) =>
+    (!riff || header.toString('ascii', 0, 4) === 'RIFF') &&
+    Buffer.from(bytes).equals(header.subarray(offset, offset + bytes.length))
+  );
+  return match ? match.type : null;
+};
+
+const readImageType = async filePath => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+    return detectImageType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Store an uploaded image: re-encode it upright and without EXIF or other
+ * metadata, then add thumbnail, medium and large renditions in the original
+ * format and WebP. Backends that transform on request (Cloudinary) get
+ * rendition URLs; the others get a stored file per rendition.
+ *
+ * @param {string} filePath - temp file from multer, already checked with readImageType
+ * @param {Object} params
+ * @param {string} params.folder
+ * @param {boolean} [params.renditions=true]
+ * @returns {Promise<{url: string, storage: string, key: string, width: number, height: number, renditions: Object[]}>}
+ */
+const processImage = async (filePath, { folder, renditions = true }) => {
+  const storage = getStorage();
+  const format = OUTPUT_FORMATS[await readImageType(filePath)] || 'jpeg';
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'capitalshop-image-'));
+  // Keys stored so far, deleted again if a later step fails
+  const storedKeys = [];
+
+  const store = async file => {
+    const stored = await storage.upload(file, { folder });
+    storedKeys.push(stored.key);
+    return stored;
+  };
+
+  try {
+    // rotate() applies the EXIF orientation; sharp drops metadata unless told to keep it
+    const originalPath = path.join(workDir, `original.${format}`);
+    const info = await sharp(filePath).rotate().toFormat(format).toFile(originalPath);
+    const original = await store(originalPath);
+
+    const image = {
+      url: original.url,
+      storage: storage.name,
+      key: original.key,
+      width: info.width,
+      height: info.height,
+      renditions: []
+    };
+    if (!renditions) {
+      return image;
+    }
+
+    const formats = [...new Set([format, 'webp'])];
+    for (const [name, maxWidth] of Object.entries(RENDITIONS)) {
+      for (const renditionFormat of formats) {
+        if (storage.supportsTransformations) {
+          const width = Math.min(maxWidth, info.width);
+          image.renditions.push({
+            name,
+            format: renditionFormat,
+            width,
+            url: storage.publicUrl(original.key, { width, format: renditionFormat })
+          });
+          continue;
+        }
+
+        const renditionPath = path.join(workDir, `${name}.${renditionFormat}`);
+        const rendition = await sharp(originalPath)
+          .resize({ width: maxWidth, withoutEnlargement: true })
+          .toFormat(renditionFormat)
+          .toFile(renditionPath);
+        const stored = await store(renditionPath);
+        image.renditions.push({
+          name,
+          format: renditionFormat,
+          width: rendition.width,
+          url: stored.url,
+          key: stored.key
+        });
+      }
+    }
+
+    return image;
+  } catch (error) {
+    await Promise.all(storedKeys.map(key => storage.delete(key).catch(() => {})));
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+// Delete an image and every rendition stored for it
+const deleteImage = image =>
+  Promise.all([
+    deleteAsset(image),
+    ...(image.renditions || [])
+      .filter(rendition => rendition.key)
+      .map(rendition => deleteAsset({ storage: image.storage, key: rendition.key }))
+  ]);
+
+module.exports = {
+  RENDITIONS,
+  detectImageType,
+  readImageType,
+  processImage,
+  deleteImage
+};
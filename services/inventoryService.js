@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const InventoryMovement = require('../models/inventoryMovement');
+const Product = require('../models/product');
+const { checkStockLevels } = require('./stockAlertService');
+const { notifyBackInStock } = require('./backInStockService');
+
+/**
+ * Atomically change the stock of a product, or of one of its variants (which
+ * also changes the product total), and record the movement. A decrement only
+ * applies when enough stock is left.
+ *
+ * @param {Object} params
+ * @param {string} params.productId
+ * @param {string} [params.variantId] - required for products with variants
+ * @param {number} params.quantity - signed change
+ * @param {string} params.type - sale, cancellation, return, adjustment or import
+ * @param {string} [params.actor] - user responsible for the change
+ * @param {string} [params.order]
+ * @param {string} [params.reason]
+ * @param {boolean} [params.fromReserved] - the units sold were reserved, so the reserved count drops too
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<?{product: Product, movement: InventoryMovement}>} null when the
+ *   product or variant does not exist or a decrement would go below zero
+ */
+const changeStock = async ({ productId, variantId, quantity, type, actor, order, reason, fromReserved, session }) => {
+  const enough = quantity < 0 ? { stock: { $gte: -quantity } } : {};
+  const filter = variantId
+    ? { _id: productId, variants: { $elemMatch: { _id: variantId, ...enough } } }
+    : { _id: productId, ...enough };
+  const increment = variantId
+    ? { 'variants.$.stock': quantity, stock: quantity }
+    : { stock: quantity };
+  if (fromReserved) {
+    Object.assign(increment, variantId ? { 'variants.$.reserved': quantity, reserved: quantity } : { reserved: quantity });
+  }
+
+  const product = await Product.findOneAndUpdate(filter, { $inc: increment }, { new: true, session });
+  if (!product) {
+    return null;
+  }
+
+  const variant = variantId ? product.variants.id(variantId) : null;
+  const [movement] = await InventoryMovement.create([{
+    product: product._id,
+    variant: variant ? variant._id : undefined,
+    sku: variant ? variant.sku : product.sku,
+    type,
+    quantity,
+    stockAfter: (variant || product).stock,
+    actor,
+    order,
+    reason
+  }], { session });
+
+  return { product, movement };
+};
+
+/**
+ * Follow up on committed stock changes: raise or resolve low-stock alerts and
+ * email back-in-stock subscribers. Runs in the background so the request
+ * that changed the stock is not held up.
+ *
+ * @param {Array<string>} productIds
+ */
+const afterStockChange = productIds => {
+  checkStockLevels(productIds).catch(error => {
+    console.error('Stock level check failed:', error.message);
+  });
+  notifyBackInStock(productIds).catch(error => {
+    console.error('Back-in-stock notification failed:', error.message);
+  });
+};
+
+// Stock levels of a product document before it is edited, for saveProduct
+const stockSnapshot = product => ({
+  stock: product && !product.isNew ? product.stock : 0,
+  variants: new Map(
+    product && !product.isNew
+      ? product.variants.map(variant => [variant._id.toString(), variant.stock])
+      : []
+  )
+});
+
+// Record the stock changes made by saving a product document. Products with
+// variants are recorded per variant.
+const recordStockChanges = async (before, product, { type, actor, reason, session }) => {
+  const movement = (quantity, stockAfter, variant) => ({
+    product: product._id,
+    variant: variant ? variant._id : undefined,
+    sku: variant ? variant.sku : product.sku,
+    type,
+    quantity,
+    stockAfter,
+    actor,
+    reason
+  });
+
+  const movements = [];
+  if (product.hasVariants) {
+    product.variants.forEach(variant => {
+      const previous = before.variants.get(variant._id.toString()) || 0;
+      if (variant.stock !== previous) {
+        movements.push(movement(variant.stock - previous, variant.stock, variant));
+      }
+    });
+  } else if (product.stock !== before.stock) {
+    movements.push(movement(product.stock - before.stock, product.stock));
+  }
+
+  if (movements.length) {
+    await InventoryMovement.insertMany(movements, { session });
+  }
+  return movements;
+};
+
+/**
+ * Save a product document edited directly, such as by an admin edit or an
+ * import, and record the stock changes it makes in the same transaction, so
+ * the ledger never misses one.
+ *
+ * @param {Product} product
+ * @param {Object} before - stockSnapshot taken before the edit
+ * @param {Object} params
+ * @param {string} params.type
+ * @param {string} [params.actor]
+ * @param {string} [params.reason]
+ * @returns {Promise<Object[]>} the movements recorded
+ */
+const saveProduct = async (product, before, { type, actor, reason }) => {
+  let movements = [];
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await product.save({ session });
+      movements = await recordStockChanges(before, product, { type, actor, reason, session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (movements.length) {
+    afterStockChange([product._id]);
+  }
+  return movements;
+};
+
+module.exports = {
+  changeStock,
+  afterStockChange,
+  stockSnapshot,
+  saveProduct
+};
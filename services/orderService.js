@@ -0,0 +1,379 @@
+const mongoose = require('mongoose');
+const Cart = require('../models/cart');
+const Order = require('../models/order');
+const Product = require('../models/product');
+const createError = require('../utils/error');
+const sendMail = require('../helper/email');
+const orderCancelledTemplate = require('../helper/orderCancelled');
+const { buildHistoryEntry, transitionOrder } = require('./orderStatusService');
+const paymentService = require('./paymentService');
+const discountEngine = require('./discountEngine');
+const inventoryService = require('./inventoryService');
+const reservationService = require('./reservationService');
+
+const PAYMENT_METHODS = Order.schema.path('paymentMethod').enumValues;
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country'];
+// Statuses from which shoppers may cancel their own orders
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+
+const validateCheckoutDetails = ({ shippingAddress, paymentMethod }) => {
+  if (!shippingAddress || ADDRESS_FIELDS.some(field => !shippingAddress[field])) {
+    throw createError(400, 'Complete shipping address is required');
+  }
+
+  if (!paymentMethod || !PAYMENT_METHODS.includes(paymentMethod)) {
+    throw createError(400, 'Valid payment method is required');
+  }
+};
+
+// Normalise request items ({ productId, variantId, quantity }) or cart items into one shape
+const normaliseItems = items => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createError(400, 'Items are required');
+  }
+
+  return items.map(item => {
+    const productId = (item.productId || item.product || '').toString();
+    const variant = item.variantId || item.variant;
+    const variantId = variant ? variant.toString() : undefined;
+    const quantity = Number(item.quantity);
+    if (!mongoose.Types.ObjectId.isValid(productId) || !Number.isInteger(quantity) || quantity < 1) {
+      throw createError(400, 'Each item must have a valid productId and quantity');
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      throw createError(400, 'Invalid variant ID');
+    }
+    return { productId, variantId, quantity };
+  });
+};
+
+// Find the variant an item refers to. Products with variants can only be
+// bought as a specific variant.
+const resolveVariant = (product, variantId) => {
+  if (!product.hasVariants) {
+    if (variantId) {
+      throw createError(400, `Product ${product.name} has no variants`);
+    }
+    return null;
+  }
+
+  if (!variantId) {
+    throw createError(400, `Choose a variant of ${product.name}`);
+  }
+  const variant = product.variants.id(variantId);
+  if (!variant || !variant.isActive) {
+    throw createError(400, `Selected variant of ${product.name} is not available`);
+  }
+  return variant;
+};
+
+// Hold stock for each item and build the order lines. Orders paid online
+// reserve their stock until expiresAt; without expiresAt (cash on delivery)
+// the stock is sold straight away and recorded against the order. Both run
+// in the checkout transaction, so concurrent checkouts cannot oversell. Also
+// returns the products, which the discount engine needs.
+const reserveItems = async (items, { orderId, userId, expiresAt, session }) => {
+  const orderItems = [];
+  const products = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.productId).session(session);
+    if (!product) {
+      throw createError(404, `Product with ID ${item.productId} not found`);
+    }
+
+    if (!product.isActive) {
+      throw createError(400, `Product ${product.name} is not available`);
+    }
+
+    const variant = resolveVariant(product, item.variantId);
+    const available = product.availableFor(variant);
+    const label = variant ? `${product.name} (${variant.sku})` : product.name;
+    if (available < item.quantity) {
+      throw createError(400, `Insufficient stock for ${label}. Available: ${available}`);
+    }
+
+    if (expiresAt) {
+      await reservationService.reserveStock({
+        product,
+        variant,
+        quantity: item.quantity,
+        order: orderId,
+        user: userId,
+        expiresAt,
+        session
+      });
+    } else {
+      const sold = await inventoryService.changeStock({
+        productId: product._id,
+        variantId: variant ? variant._id : undefined,
+        quantity: -item.quantity,
+        type: 'sale',
+        actor: userId,
+        order: orderId,
+        session
+      });
+      if (!sold) {
+        throw createError(400, `Insufficient stock for ${label}. Available: ${available}`);
+      }
+    }
+
+    orderItems.push({
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      options: variant ? variant.options : undefined,
+      quantity: item.quantity,
+      price: product.priceFor(variant)
+    });
+    products.push(product);
+  }
+
+  return { orderItems, products };
+};
+
+// Evaluate the code against the order lines and count the redemption.
+// Each order line gets its share of the discount.
+const resolveDiscount = async ({ code, orderItems, products, userId, session }) => {
+  if (!code) {
+    return null;
+  }
+
+  const lines = orderItems.map((item, index) => ({
+    product: products[index],
+    quantity: item.quantity,
+    price: item.price
+  }));
+  const { discount, evaluation } = await discountEngine.applyDiscountCode({ code, lines, userId, session });
+  await discountEngine.recordRedemption(discount, session);
+
+  evaluation.lines.forEach((line, index) => {
+    orderItems[index].discount = line.discount;
+  });
+  return discountEngine.buildSnapshot(discount, evaluation);
+};
+
+/**
+ * Create an order inside a single transaction: validate checkout details,
+ * reserve stock (sell it, for cash on delivery), apply any discount code,
+ * save the order and, for cart checkouts, empty the cart. Reservations last
+ * STOCK_RESERVATION_MINUTES; see expireUnpaidOrders.
+ *
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {Array<{productId: string, variantId?: string, quantity: number}>} [params.items] - explicit items; the user's cart is used when omitted
+ * @param {Object} params.shippingAddress
+ * @param {string} params.paymentMethod
+ * @param {string} [params.discountCode] - for cart checkouts, defaults to the code applied to the cart
+ * @param {string} [params.notes]
+ * @returns {Promise<Order>} the saved order with products and user populated
+ */
+exports.createOrder = async ({ userId, items, shippingAddress, paymentMethod, discountCode, notes }) => {
+  validateCheckoutDetails({ shippingAddress, paymentMethod });
+
+  const fromCart = items === undefined;
+  const session = await mongoose.startSession();
+  let order;
+
+  try {
+    await session.withTransaction(async () => {
+      let requestedItems = items;
+      let cart;
+      if (fromCart) {
+        cart = await Cart.findOne({ user: userId }).session(session);
+        if (!cart || cart.items.length === 0) {
+          throw createError(400, 'Cart is empty');
+        }
+        requestedItems = cart.items;
+      }
+
+      const orderId = new mongoose.Types.ObjectId();
+      const expiresAt = paymentMethod === 'cash_on_delivery' ? undefined : reservationService.reservationExpiry();
+      const { orderItems, products } = await reserveItems(normaliseItems(requestedItems), {
+        orderId,
+        userId,
+        expiresAt,
+        session
+      });
+      const subtotal = parseFloat(
+        orderItems.reduce((sum, item) => sum + item.price * item.quantity, 0).toFixed(2)
+      );
+      const discount = await resolveDiscount({
+        code: discountCode || (cart && cart.discountCode),
+        orderItems,
+        products,
+        userId,
+        session
+      });
+      const discountAmount = discount ? discount.amount : 0;
+
+      [order] = await Order.create([{
+        _id: orderId,
+        user: userId,
+        items: orderItems,
+        subtotal,
+        discount: discount || undefined,
+        totalAmount: parseFloat((subtotal - discountAmount).toFixed(2)),
+        shippingAddress,
+        paymentMethod,
+        paymentStatus: 'pending',
+        orderStatus: 'pending',
+        statusHistory: [buildHistoryEntry({ status: 'pending', actor: userId, reason: 'Order placed' })],
+        notes,
+        reservationExpiresAt: expiresAt
+      }], { session });
+
+      if (cart) {
+        cart.items = [];
+        cart.discountCode = undefined;
+        await cart.save({ session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  inventoryService.afterStockChange(order.items.map(item => item.product));
+  await order.populate('items.product', 'name price image');
+  await order.populate('user', 'name email');
+  return order;
+};
+
+const sendCancellationEmail = async (order, refundPending) => {
+  try {
+    await order.populate('user', 'name email');
+    await order.populate('items.product', 'name');
+    if (!order.user || !order.user.email) {
+      return;
+    }
+    await sendMail({
+      email: order.user.email,
+      subject: `Order ${order.orderNumber} cancelled`,
+      text: `Hello ${order.user.name}, your order ${order.orderNumber} has been cancelled.` +
+        (refundPending ? ' Your payment will be refunded.' : ''),
+      html: orderCancelledTemplate(order, order.user.name, refundPending)
+    });
+  } catch (error) {
+    // The cancellation itself has been committed; a failed email must not undo it
+    console.error('Failed to send cancellation email:', error.message);
+  }
+};
+
+/**
+ * Cancel an order inside a single transaction: move it to `cancelled`,
+ * release its stock reservations or, if the stock was already sold, return
+ * every item's quantity to stock, and flag paid orders for refund.
+ * Once committed, paid orders are refunded through their payment provider
+ * and a confirmation email is sent.
+ *
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {string} params.actor - id of the user cancelling the order
+ * @param {string} [params.reason]
+ * @param {string} [params.userId] - restrict to this customer's orders and to customer-cancellable statuses
+ * @returns {Promise<Order>} the cancelled order
+ */
+exports.cancelOrder = async ({ orderId, actor, reason, userId }) => {
+  const session = await mongoose.startSession();
+  let order;
+  let refundPending = false;
+
+  try {
+    await session.withTransaction(async () => {
+      const filter = userId ? { user: userId } : {};
+      const existing = await Order.findOne({ _id: orderId, ...filter }).session(session);
+      if (!existing) {
+        throw createError(404, 'Order not found');
+      }
+
+      if (userId && !CUSTOMER_CANCELLABLE_STATUSES.includes(existing.orderStatus)) {
+        throw createError(409, `Orders that are ${existing.orderStatus} can no longer be cancelled`);
+      }
+
+      refundPending = existing.paymentStatus === 'paid';
+      order = await transitionOrder(orderId, 'cancelled', {
+        actor,
+        reason,
+        filter,
+        update: refundPending ? { paymentStatus: 'refund_pending' } : {},
+        session
+      });
+
+      // Reserved stock was never taken out of stock, so it only needs releasing
+      const released = await reservationService.releaseReservations(order._id, { session });
+
+      // A product or variant removed since the order was placed has nothing to return stock to
+      for (const item of released ? [] : order.items) {
+        await inventoryService.changeStock({
+          productId: item.product,
+          variantId: item.variant,
+          quantity: item.quantity,
+          type: 'cancellation',
+          actor,
+          order: order._id,
+          reason,
+          session
+        });
+      }
+
+      if (order.discount && order.discount.code) {
+        await discountEngine.releaseRedemption(order.discount.code, session);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  inventoryService.afterStockChange(order.items.map(item => item.product));
+  if (refundPending) {
+    try {
+      const payment = await paymentService.refundOrderPayment(order);
+      if (payment && payment.status === 'refunded') {
+        order.paymentStatus = 'refunded';
+      }
+    } catch (error) {
+      // Left as refund_pending so the refund can be retried
+      console.error('Automatic refund failed:', error.message);
+    }
+  }
+
+  await sendCancellationEmail(order, refundPending);
+  return order;
+};
+
+/**
+ * Cancel unpaid orders whose stock reservation has expired, releasing the
+ * stock. Run periodically by the server.
+ *
+ * @returns {Promise<number>} the number of orders cancelled
+ */
+exports.expireUnpaidOrders = async () => {
+  const orders = await Order.find({
+    reservationExpiresAt: { $lte: new Date() },
+    orderStatus: 'pending',
+    paymentStatus: { $in: ['pending', 'failed'] }
+  }, '_id').limit(100);
+
+  let cancelled = 0;
+  for (const { _id } of orders) {
+    try {
+      await exports.cancelOrder({ orderId: _id, reason: 'Payment not received in time' });
+      cancelled++;
+    } catch (error) {
+      // Paid or cancelled by another request in the meantime
+      console.error(`Failed to expire order ${_id}:`, error.message);
+    }
+  }
+  return cancelled;
+};
+
+// Shared response body for every checkout endpoint
+exports.formatOrderResponse = (order, message = 'Order created successfully') => ({
+  success: true,
+  message,
+  data: {
+    order,
+    orderNumber: order.orderNumber,
+    totalAmount: order.totalAmount
+  }
+});
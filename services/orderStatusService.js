@@ -0,0 +1,81 @@
+const Order = require('../models/order');
+const createError = require('../utils/error');
+
+const ORDER_STATUSES = Order.schema.path('orderStatus').enumValues;
+
+// Legal orderStatus transitions. Delivered and cancelled orders are final.
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const buildHistoryEntry = ({ status, from = null, actor, reason }) => ({
+  status,
+  from,
+  changedBy: actor,
+  reason,
+  changedAt: new Date()
+});
+
+/**
+ * Move an order to a new status, recording who changed it and why.
+ * The update is conditional on the status the order was read with, so a
+ * concurrent change results in a 409 rather than a lost update.
+ *
+ * @param {string} orderId
+ * @param {string} status - target orderStatus
+ * @param {Object} [options]
+ * @param {string} [options.actor] - id of the user making the change
+ * @param {string} [options.reason]
+ * @param {Object} [options.filter] - extra conditions, e.g. { user } for shopper actions
+ * @param {Object} [options.update] - extra fields to $set alongside the status
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<Order>} the updated order
+ */
+const transitionOrder = async (orderId, status, { actor, reason, filter = {}, update = {}, session } = {}) => {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw createError(400, `Invalid order status: ${status}`);
+  }
+
+  const order = await Order.findOne({ _id: orderId, ...filter }).session(session || null);
+  if (!order) {
+    throw createError(404, 'Order not found');
+  }
+
+  const from = order.orderStatus;
+  if (!canTransition(from, status)) {
+    throw createError(409, `Cannot change order status from '${from}' to '${status}'`);
+  }
+  // Unpaid orders stay pending, where the reservation sweep can expire them
+  if (status === 'confirmed' && order.paymentMethod !== 'cash_on_delivery' && order.paymentStatus !== 'paid') {
+    throw createError(409, 'Only paid orders can be confirmed');
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, orderStatus: from },
+    {
+      $set: { ...update, orderStatus: status },
+      $push: { statusHistory: buildHistoryEntry({ status, from, actor, reason }) }
+    },
+    { new: true, runValidators: true, session }
+  );
+  if (!updated) {
+    throw createError(409, 'Order status was changed by another request. Please retry.');
+  }
+
+  return updated;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  buildHistoryEntry,
+  transitionOrder
+};
@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order');
+const Payment = require('../models/payment');
+const createError = require('../utils/error');
+const { getProvider } = require('./payments');
+const { transitionOrder } = require('./orderStatusService');
+const reservationService = require('./reservationService');
+
+const CURRENCY = process.env.PAYMENT_CURRENCY || 'NGN';
+
+/**
+ * Start collecting payment for one of the user's orders. Each call records a
+ * new Payment attempt, so a failed payment can simply be retried.
+ *
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {string} params.userId
+ * @param {string} [params.provider] - defaults to PAYMENT_PROVIDER, then the mock provider
+ * @returns {Promise<{payment: Payment, clientSecret: string}>}
+ */
+exports.createPaymentIntent = async ({ orderId, userId, provider: providerName }) => {
+  const provider = getProvider(providerName);
+
+  const order = await Order.findOne({ _id: orderId, user: userId });
+  if (!order) {
+    throw createError(404, 'Order not found');
+  }
+
+  if (order.paymentMethod === 'cash_on_delivery') {
+    throw createError(400, 'Cash on delivery orders are paid on delivery');
+  }
+
+  if (order.orderStatus === 'cancelled') {
+    throw createError(409, 'Cannot pay for a cancelled order');
+  }
+
+  if (order.paymentStatus !== 'pending' && order.paymentStatus !== 'failed') {
+    throw createError(409, `Order payment is already ${order.paymentStatus}`);
+  }
+
+  if (order.reservationExpiresAt && order.reservationExpiresAt <= new Date()) {
+    throw createError(409, 'The stock reserved for this order has expired. Please place the order again.');
+  }
+
+  const intent = await provider.createIntent({
+    amount: order.totalAmount,
+    currency: CURRENCY,
+    order
+  });
+
+  const payment = await Payment.create({
+    order: order._id,
+    user: userId,
+    provider: provider.name,
+    providerPaymentId: intent.providerPaymentId,
+    amount: order.totalAmount,
+    currency: CURRENCY,
+    status: 'pending'
+  });
+
+  if (order.paymentStatus === 'failed') {
+    order.paymentStatus = 'pending';
+    await order.save();
+  }
+
+  return { payment, clientSecret: intent.clientSecret };
+};
+
+/**
+ * Refund the most recent successful payment for an order and mark the order
+ * refunded. Returns null when there is nothing to refund.
+ *
+ * @param {Order} order
+ * @returns {Promise<?Payment>}
+ */
+exports.refundOrderPayment = async order => {
+  const payment = await Payment.findOne({ order: order._id, status: 'succeeded' }).sort({ createdAt: -1 });
+  if (!payment) {
+    return null;
+  }
+
+  const provider = getProvider(payment.provider);
+  const result = await provider.refund(payment.providerPaymentId, payment.amount - payment.refundedAmount);
+
+  // Asynchronous providers confirm the refund later through the webhook
+  if (result.status === 'refunded') {
+    payment.status = 'refunded';
+    payment.refundedAmount = payment.amount;
+    await payment.save();
+    await Order.updateOne(
+      { _id: order._id, paymentStatus: 'refund_pending' },
+      { paymentStatus: 'refunded' }
+    );
+  }
+
+  return payment;
+};
+
+// Sell the stock reserved for a paid order. If it is no longer there, the
+// order is cancelled and the payment refunded. Returns whether it was sold.
+const commitReservedStock = async order => {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await reservationService.commitReservations(order._id, { session });
+      await Order.updateOne({ _id: order._id }, { $unset: { reservationExpiresAt: 1 } }, { session });
+    });
+    return true;
+  } catch (error) {
+    if (error.statusCode !== 409) {
+      throw error;
+    }
+  } finally {
+    await session.endSession();
+  }
+
+  await reservationService.releaseReservations(order._id);
+  const cancelled = await transitionOrder(order._id, 'cancelled', {
+    reason: 'Reserved stock no longer available',
+    update: { paymentStatus: 'refund_pending' }
+  });
+  await exports.refundOrderPayment(cancelled);
+  return false;
+};
+
+const markOrderPaid = async payment => {
+  const order = await Order.findOneAndUpdate(
+    { _id: payment.order, paymentStatus: { $in: ['pending', 'failed'] } },
+    { paymentStatus: 'paid' },
+    { new: true }
+  );
+  if (!order) {
+    return;
+  }
+
+  // Money arrived for an order that was cancelled in the meantime: send it back
+  if (order.orderStatus === 'cancelled') {
+    order.paymentStatus = 'refund_pending';
+    await order.save();
+    await exports.refundOrderPayment(order);
+    return;
+  }
+
+  if (order.reservationExpiresAt && !(await commitReservedStock(order))) {
+    return;
+  }
+
+  if (order.orderStatus === 'pending') {
+    try {
+      await transitionOrder(order._id, 'confirmed', { reason: 'Payment received' });
+    } catch (error) {
+      // Another request already moved the order on; the payment is still recorded
+      if (error.statusCode !== 409) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Verify and apply a provider webhook. Replayed events are recorded but do
+ * not change state twice.
+ *
+ * @param {Object} params
+ * @param {string} params.provider - provider name from the URL
+ * @param {Buffer} params.rawBody - unparsed request body, used for signature checks
+ * @param {Object} params.headers
+ * @param {Object} params.body - parsed JSON body
+ * @returns {Promise<?Payment>} the affected payment, or null for ignored event types
+ */
+exports.handleWebhook = async ({ provider: providerName, rawBody, headers, body }) => {
+  const provider = getProvider(providerName);
+
+  if (!provider.verifyWebhookSignature(rawBody, headers)) {
+    throw createError(400, 'Invalid webhook signature');
+  }
+
+  const event = provider.parseWebhookEvent(body);
+  if (!event.status) {
+    return null;
+  }
+
+  const payment = await Payment.findOne({
+    provider: provider.name,
+    providerPaymentId: event.providerPaymentId
+  });
+  if (!payment) {
+    throw createError(404, 'Payment not found');
+  }
+
+  const eventEntry = { type: event.type, receivedAt: new Date() };
+  // Each state change is conditional on the current status, so replayed or
+  // concurrent deliveries of the same event only take effect once
+  const moveTo = (from, update) => Payment.findOneAndUpdate(
+    { _id: payment._id, status: from },
+    { $set: update, $push: { events: eventEntry } },
+    { new: true }
+  );
+
+  if (event.status === 'succeeded') {
+    const updated = await moveTo('pending', { status: 'succeeded' });
+    if (updated) {
+      await markOrderPaid(updated);
+      return updated;
+    }
+  }
+
+  if (event.status === 'failed') {
+    const updated = await moveTo('pending', { status: 'failed', failureReason: event.failureReason });
+    if (updated) {
+      await Order.updateOne(
+        { _id: payment.order, paymentStatus: 'pending' },
+        { paymentStatus: 'failed' }
+      );
+      return updated;
+    }
+  }
+
+  if (event.status === 'refunded') {
+    const updated = await moveTo('succeeded', { status: 'refunded', refundedAmount: payment.amount });
+    if (updated) {
+      await Order.updateOne(
+        { _id: payment.order, paymentStatus: { $in: ['paid', 'refund_pending'] } },
+        { paymentStatus: 'refunded' }
+      );
+      return updated;
+    }
+  }
+
+  // Duplicate or out-of-order event: keep it in the audit trail only
+  return Payment.findByIdAndUpdate(payment._id, { $push: { events: eventEntry } }, { new: true });
+};
@@ -0,0 +1,35 @@
+const createError = require('../../utils/error');
+const mockProvider = require('./mockProvider');
+
+/**
+ * Every payment provider implements the same interface:
+ *
+ * @typedef {Object} PaymentProvider
+ * @property {string} name
+ * @property {function({amount: number, currency: string, order: Object}): Promise<{providerPaymentId: string, clientSecret: string, status: string}>} createIntent
+ * @property {function(string): Promise<{providerPaymentId: string, status: string}>} capture
+ * @property {function(string, number): Promise<{providerPaymentId: string, status: string}>} refund
+ * @property {function(Buffer, Object): boolean} verifyWebhookSignature - raw request body and headers
+ * @property {function(Object): {type: string, status: ?string, providerPaymentId: string, failureReason: ?string}} parseWebhookEvent
+ */
+const providers = {
+  [mockProvider.name]: mockProvider
+};
+
+const registerProvider = provider => {
+  providers[provider.name] = provider;
+};
+
+const getProvider = name => {
+  const key = name || process.env.PAYMENT_PROVIDER || 'mock';
+  // Own properties only, so names like "constructor" are unknown providers
+  if (!Object.hasOwn(providers, key)) {
+    throw createError(400, `Unknown payment provider: ${key}`);
+  }
+  return providers[key];
+};
+
+module.exports = {
+  registerProvider,
+  getProvider
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// Production must configure a real secret; the fallback only exists for local use
+const getSecret = () =>
+  process.env.MOCK_PAYMENT_WEBHOOK_SECRET ||
+  (process.env.NODE_ENV === 'production' ? null : 'mock_webhook_secret');
+
+const sign = payload =>
+  crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+
+// Offline payment provider. Nothing leaves the process: intents are random ids
+// and payments only change state when a signed webhook is posted back, e.g.
+//
+//   body = JSON.stringify({ type: 'payment.succeeded', data: { id } })
+//   POST /api/payments/webhook/mock with header x-mock-signature: sign(body)
+const mockProvider = {
+  name: 'mock',
+
+  async createIntent({ amount, currency }) {
+    const id = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+    return {
+      providerPaymentId: id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      amount,
+      currency,
+      status: 'pending'
+    };
+  },
+
+  async capture(providerPaymentId) {
+    return { providerPaymentId, status: 'succeeded' };
+  },
+
+  async refund(providerPaymentId, amount) {
+    return {
+      providerPaymentId,
+      refundId: `mock_re_${crypto.randomBytes(12).toString('hex')}`,
+      amount,
+      status: 'refunded'
+    };
+  },
+
+  verifyWebhookSignature(rawBody, headers) {
+    const signature = headers[SIGNATURE_HEADER];
+    if (!getSecret() || !rawBody || typeof signature !== 'string') {
+      return false;
+    }
+    const expected = Buffer.from(sign(rawBody));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  },
+
+  parseWebhookEvent(body) {
+    const types = {
+      'payment.succeeded': 'succeeded',
+      'payment.failed': 'failed',
+      'refund.succeeded': 'refunded'
+    };
+    return {
+      type: body.type,
+      status: types[body.type] || null,
+      providerPaymentId: body.data && body.data.id,
+      failureReason: body.data && body.data.failureReason
+    };
+  },
+
+  // Exposed so local scripts and tests can produce valid webhook calls
+  sign,
+  SIGNATURE_HEADER
+};
+
+module.exports = mockProvider;
@@ -0,0 +1,320 @@
+const Category = require('../models/category');
+const Product = require('../models/product');
+const createError = require('../utils/error');
+const { parseCsv, toCsvRow, unescapeFormula } = require('../utils/csv');
+const { deleteImage } = require('./imagePipeline');
+const { stockSnapshot, saveProduct } = require('./inventoryService');
+
+// Columns of the import and export format, in CSV column order. In CSV,
+// images are separated by | and options and variants are JSON.
+const COLUMNS = ['sku', 'name', 'description', 'price', 'stock', 'category', 'images', 'isActive', 'options', 'variants'];
+// Variant fields an import may set; reserved stock is managed by checkout
+const VARIANT_FIELDS = ['sku', 'options', 'price', 'stock', 'image', 'isActive'];
+const MAX_IMPORT_ROWS = 2000;
+const TRUE_VALUES = ['true', '1', 'yes'];
+const FALSE_VALUES = ['false', '0', 'no'];
+
+const normaliseSku = sku => (sku === undefined || sku === null ? '' : String(sku).trim().toUpperCase());
+
+/**
+ * Read an uploaded import file into rows.
+ *
+ * @param {Buffer} buffer
+ * @param {string} format - csv or json
+ * @returns {Object[]}
+ */
+const parseImportFile = (buffer, format) => {
+  const text = buffer.toString('utf8');
+  let rows;
+
+  if (format === 'json') {
+    try {
+      rows = JSON.parse(text);
+    } catch (error) {
+      throw createError(400, 'Import file is not valid JSON');
+    }
+    if (!Array.isArray(rows)) {
+      throw createError(400, 'JSON imports must be an array of products');
+    }
+  } else {
+    rows = parseCsv(text);
+  }
+
+  if (rows.length === 0) {
+    throw createError(400, 'Import file has no products');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw createError(400, `Import files can have at most ${MAX_IMPORT_ROWS} products`);
+  }
+  return rows;
+};
+
+// JSON imports can hold anything; only objects are product rows
+const isRowObject = row => row !== null && typeof row === 'object' && !Array.isArray(row);
+
+// Turn one CSV or JSON row into Product fields. Empty cells are left out, so
+// updates only change the columns that were filled in.
+const toFields = (row, categoriesBySlug) => {
+  const fields = {};
+  const errors = [];
+  const has = column => row[column] !== undefined && row[column] !== null && row[column] !== '';
+  const parseJson = column => {
+    if (typeof row[column] !== 'string') {
+      return row[column];
+    }
+    try {
+      return JSON.parse(row[column]);
+    } catch (error) {
+      errors.push(`${column} must be valid JSON`);
+      return undefined;
+    }
+  };
+
+  ['name', 'description'].filter(has).forEach(column => {
+    fields[column] = unescapeFormula(String(row[column]));
+  });
+
+  ['price', 'stock'].filter(has).forEach(column => {
+    const value = Number(row[column]);
+    if (Number.isNaN(value)) {
+      errors.push(`${column} must be a number`);
+    } else {
+      fields[column] = value;
+    }
+  });
+
+  if (has('category')) {
+    const slug = String(row.category).trim().toLowerCase();
+    if (categoriesBySlug.has(slug)) {
+      fields.category = categoriesBySlug.get(slug);
+    } else {
+      errors.push(`Unknown category "${row.category}"`);
+    }
+  }
+
+  if (has('images')) {
+    fields.images = Array.isArray(row.images)
+      ? row.images.map(String)
+      : String(row.images).split('|').map(url => url.trim()).filter(Boolean);
+  }
+
+  if (has('isActive')) {
+    const value = String(row.isActive).trim().toLowerCase();
+    if (TRUE_VALUES.includes(value)) {
+      fields.isActive = true;
+    } else if (FALSE_VALUES.includes(value)) {
+      fields.isActive = false;
+    } else {
+      errors.push('isActive must be true or false');
+    }
+  }
+
+  ['options', 'variants'].filter(has).forEach(column => {
+    const value = parseJson(column);
+    if (value !== undefined && !Array.isArray(value)) {
+      errors.push(`${column} must be an array`);
+    } else if (value !== undefined && !value.every(isRowObject)) {
+      errors.push(`${column} must be an array of objects`);
+    } else if (value !== undefined) {
+      fields[column] = value;
+    }
+  });
+
+  return { fields, errors };
+};
+
+// Apply imported fields to a new or existing product. Images and variants are
+// matched by URL and SKU so existing renditions and the variant ids carts and
+// orders refer to survive; variants missing from the import are deactivated.
+// Returns the gallery images the import dropped.
+const applyFields = (product, { images, variants, ...fields }) => {
+  product.set(fields);
+  let removedImages = [];
+
+  if (images) {
+    const current = product.isNew ? [] : product.ensureGallery().map(image => image.toObject());
+    const byUrl = new Map(current.map(image => [image.url, image]));
+    product.images = images.map((url, index) => ({ ...(byUrl.get(url) || { url }), isPrimary: index === 0 }));
+    removedImages = current.filter(image => !images.includes(image.url));
+  }
+
+  if (variants) {
+    const imported = new Set();
+    variants.forEach(row => {
+      const variant = VARIANT_FIELDS.reduce((fields, field) => {
+        if (row[field] !== undefined) {
+          fields[field] = row[field];
+        }
+        return fields;
+      }, {});
+      const sku = normaliseSku(variant.sku);
+      imported.add(sku);
+      const existing = product.variants.find(candidate => candidate.sku === sku);
+      // Variant images are imported by URL; an unchanged URL keeps the stored asset
+      if (variant.image !== undefined) {
+        const url = String(variant.image);
+        variant.image = existing && existing.image && existing.image.url === url
+          ? existing.image.toObject()
+          : { url };
+      }
+      if (existing) {
+        existing.set(variant);
+      } else {
+        product.variants.push(variant);
+      }
+    });
+    product.variants
+      .filter(variant => !imported.has(variant.sku))
+      .forEach(variant => {
+        variant.isActive = false;
+      });
+  }
+
+  return removedImages;
+};
+
+const errorMessages = error => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(fieldError => fieldError.message);
+  }
+  if (error.code === 11000) {
+    return ['SKU is already used by another product or variant'];
+  }
+  return [error.message];
+};
+
+/**
+ * Create or update products by SKU. Each row is validated against the Product
+ * schema and saved on its own, so one bad row does not stop the others. In a
+ * dry run nothing is saved and the report shows what would happen.
+ *
+ * @param {Object[]} rows - from parseImportFile
+ * @param {Object} [params]
+ * @param {boolean} [params.dryRun=false]
+ * @param {string} [params.actor] - admin running the import, for the inventory ledger
+ * @returns {Promise<{dryRun: boolean, total: number, created: number, updated: number, failed: number, errors: Array<{row: number, sku: string, errors: string[]}>}>}
+ *   row is 1-based and counts products, not file lines
+ */
+const importProducts = async (rows, { dryRun = false, actor } = {}) => {
+  const categories = await Category.find({}, 'slug');
+  const categoriesBySlug = new Map(categories.map(category => [category.slug, category._id]));
+
+  const skus = rows.filter(isRowObject).map(row => normaliseSku(row.sku)).filter(Boolean);
+  const existing = await Product.find({ sku: { $in: skus } });
+  const existingBySku = new Map(existing.map(product => [product.sku, product]));
+
+  const report = { dryRun, total: rows.length, created: 0, updated: 0, failed: 0, errors: [] };
+  const seen = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    const sku = isRowObject(row) ? normaliseSku(row.sku) : undefined;
+    const fail = errors => {
+      report.failed++;
+      report.errors.push({ row: index + 1, sku, errors });
+    };
+
+    if (!isRowObject(row)) {
+      fail(['Each product must be an object']);
+      continue;
+    }
+    if (!sku) {
+      fail(['sku is required']);
+      continue;
+    }
+    if (seen.has(sku)) {
+      fail([`sku ${sku} appears more than once in the file`]);
+      continue;
+    }
+    seen.add(sku);
+
+    const { fields, errors } = toFields(row, categoriesBySlug);
+    if (errors.length) {
+      fail(errors);
+      continue;
+    }
+
+    const product = existingBySku.get(sku) || new Product({ sku });
+    const isNew = product.isNew;
+    const before = stockSnapshot(product);
+
+    try {
+      const removedImages = applyFields(product, fields);
+      await product.validate();
+      if (!dryRun) {
+        await saveProduct(product, before, { type: 'import', actor, reason: 'Catalogue import' });
+        await Promise.all(removedImages.map(image =>
+          deleteImage(image).catch(error => console.error(`Failed to delete image ${image.url}:`, error.message))
+        ));
+      }
+      report[isNew ? 'created' : 'updated']++;
+    } catch (error) {
+      fail(errorMessages(error));
+    }
+  }
+
+  return report;
+};
+
+const toExportRecord = product => ({
+  sku: product.sku,
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  stock: product.stock,
+  category: product.category ? product.category.slug : '',
+  images: product.images && product.images.length
+    ? product.images.map(image => image.url)
+    : [product.image].filter(Boolean),
+  isActive: product.isActive,
+  options: (product.options || []).map(({ name, values }) => ({ name, values })),
+  variants: (product.variants || []).map(({ sku, options, price, stock, image, isActive }) =>
+    ({ sku, options, price, stock, image: image ? image.url : undefined, isActive }))
+});
+
+const toCsvCell = (column, value) => {
+  if (column === 'images') {
+    return value.join('|');
+  }
+  if (column === 'options' || column === 'variants') {
+    return value.length ? JSON.stringify(value) : '';
+  }
+  return value;
+};
+
+/**
+ * Stream the whole catalogue, active or not, in the import format.
+ *
+ * @param {string} format - csv or json
+ * @returns {AsyncGenerator<string>} chunks of the file
+ */
+async function* exportCatalogue(format) {
+  const cursor = Product.find()
+    .sort({ _id: 1 })
+    .populate('category', 'slug')
+    .lean()
+    .cursor();
+
+  yield format === 'json' ? '[' : toCsvRow(COLUMNS);
+
+  let first = true;
+  for await (const product of cursor) {
+    const record = toExportRecord(product);
+    if (format === 'json') {
+      yield `${first ? '' : ','}\n${JSON.stringify(record)}`;
+    } else {
+      yield toCsvRow(COLUMNS.map(column => toCsvCell(column, record[column])));
+    }
+    first = false;
+  }
+
+  if (format === 'json') {
+    yield '\n]\n';
+  }
+}
+
+module.exports = {
+  COLUMNS,
+  parseImportFile,
+  importProducts,
+  exportCatalogue
+};
@@ -0,0 +1,111 @@
+const Product = require('../models/product');
+const StockReservation = require('../models/stockReservation');
+const createError = require('../utils/error');
+const { changeStock } = require('./inventoryService');
+
+// How long checkout holds stock for an unpaid order
+const RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES) || 15;
+
+const reservationExpiry = () => new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000);
+
+const adjustReserved = (productId, variantId, quantity, session) => Product.updateOne(
+  variantId ? { _id: productId, 'variants._id': variantId } : { _id: productId },
+  { $inc: variantId ? { 'variants.$.reserved': quantity, reserved: quantity } : { reserved: quantity } },
+  { session }
+);
+
+/**
+ * Hold stock of a product, or one of its variants, for an order. Must run in
+ * the checkout transaction with the product read in that transaction: a
+ * concurrent change to the product then makes this write conflict, and the
+ * transaction retries against fresh stock, so available stock cannot be
+ * reserved twice.
+ *
+ * @param {Object} params
+ * @param {Product} params.product
+ * @param {Object} [params.variant]
+ * @param {number} params.quantity
+ * @param {string} params.order
+ * @param {string} [params.user]
+ * @param {Date} params.expiresAt
+ * @param {ClientSession} params.session
+ * @returns {Promise<?StockReservation>} null when not enough stock is available
+ */
+const reserveStock = async ({ product, variant, quantity, order, user, expiresAt, session }) => {
+  if (product.availableFor(variant) < quantity) {
+    return null;
+  }
+
+  await adjustReserved(product._id, variant ? variant._id : undefined, quantity, session);
+  const [reservation] = await StockReservation.create([{
+    order,
+    user,
+    product: product._id,
+    variant: variant ? variant._id : undefined,
+    quantity,
+    expiresAt
+  }], { session });
+  return reservation;
+};
+
+/**
+ * Turn an order's active reservations into sales once it is paid.
+ *
+ * @param {string} orderId
+ * @param {Object} [options]
+ * @param {string} [options.actor]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<number>} the number of reservations committed
+ */
+const commitReservations = async (orderId, { actor, session } = {}) => {
+  const reservations = await StockReservation.find({ order: orderId, status: 'active' }).session(session || null);
+
+  for (const reservation of reservations) {
+    const result = await changeStock({
+      productId: reservation.product,
+      variantId: reservation.variant,
+      quantity: -reservation.quantity,
+      type: 'sale',
+      actor,
+      order: orderId,
+      fromReserved: true,
+      session
+    });
+    // Only possible when an admin has taken stock below what was reserved
+    if (!result) {
+      throw createError(409, 'Reserved stock is no longer available');
+    }
+    reservation.status = 'committed';
+    await reservation.save({ session });
+  }
+
+  return reservations.length;
+};
+
+/**
+ * Give an order's active reservations back to available stock.
+ *
+ * @param {string} orderId
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<number>} the number of reservations released
+ */
+const releaseReservations = async (orderId, { session } = {}) => {
+  const reservations = await StockReservation.find({ order: orderId, status: 'active' }).session(session || null);
+
+  for (const reservation of reservations) {
+    await adjustReserved(reservation.product, reservation.variant, -reservation.quantity, session);
+    reservation.status = 'released';
+    await reservation.save({ session });
+  }
+
+  return reservations.length;
+};
+
+module.exports = {
+  RESERVATION_MINUTES,
+  reservationExpiry,
+  reserveStock,
+  commitReservations,
+  releaseReservations
+};
@@ -0,0 +1,128 @@
+const Product = require('../models/product');
+const StockAlert = require('../models/stockAlert');
+const User = require('../models/user');
+const sendMail = require('../helper/email');
+const stockAlertTemplate = require('../helper/stockAlert');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+
+// Threshold for products that do not set their own
+const DEFAULT_LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+const thresholdFor = product =>
+  product.lowStockThreshold !== undefined && product.lowStockThreshold !== null
+    ? product.lowStockThreshold
+    : DEFAULT_LOW_STOCK_THRESHOLD;
+
+const levelFor = (available, threshold) => {
+  if (available <= 0) {
+    return 'out_of_stock';
+  }
+  return available <= threshold ? 'low_stock' : null;
+};
+
+// Email everyone who manages the catalogue. Failures are logged only: the
+// alerts are already in the in-app list.
+const notifyAdmins = async alerts => {
+  try {
+    const users = await User.find({ $or: [{ role: 'admin' }, { isAdmin: true }, { isSuperAdmin: true }] }, 'name email role isAdmin isSuperAdmin');
+    const admins = users.filter(user => user.email && hasPermission(user, PERMISSIONS.PRODUCT_WRITE));
+
+    await Promise.all(admins.map(admin => sendMail({
+      email: admin.email,
+      subject: `Stock alert: ${alerts.length} product(s) need restocking`,
+      text: alerts.map(alert => `${alert.name}${alert.sku ? ` (${alert.sku})` : ''}: ${alert.available} available`).join('\n'),
+      html: stockAlertTemplate(alerts, admin.name)
+    })));
+  } catch (error) {
+    console.error('Failed to send stock alert email:', error.message);
+  }
+};
+
+// Open, escalate or resolve the alert of one product or variant. Returns the
+// alert when admins should be told about it.
+const updateAlert = async (product, variant) => {
+  if (variant && !variant.isActive) {
+    return null;
+  }
+
+  const threshold = thresholdFor(product);
+  const available = product.availableFor(variant);
+  const level = levelFor(available, threshold);
+  const target = { product: product._id, variant: variant ? variant._id : null };
+  const open = await StockAlert.findOne({ ...target, status: 'open' });
+
+  if (!level) {
+    if (open) {
+      open.status = 'resolved';
+      open.resolvedAt = new Date();
+      await open.save();
+    }
+    return null;
+  }
+
+  if (open) {
+    if (open.level === level) {
+      return null;
+    }
+    // Running out is worth another email; recovering to low stock is not
+    const escalated = level === 'out_of_stock';
+    open.set({ level, available, threshold });
+    if (escalated) {
+      open.acknowledgedAt = undefined;
+      open.acknowledgedBy = undefined;
+    }
+    await open.save();
+    return escalated ? open : null;
+  }
+
+  try {
+    return await StockAlert.create({
+      ...target,
+      sku: variant ? variant.sku : product.sku,
+      name: product.name,
+      level,
+      available,
+      threshold
+    });
+  } catch (error) {
+    // Opened by a concurrent check
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Compare the available stock of products against their low-stock thresholds,
+ * keeping the in-app alert list up to date and emailing admins about new
+ * alerts. Products with variants are checked per variant.
+ *
+ * @param {Array<string>} productIds
+ * @returns {Promise<StockAlert[]>} alerts admins were notified about
+ */
+const checkStockLevels = async productIds => {
+  const products = await Product.find({ _id: { $in: productIds } });
+  const notify = [];
+
+  for (const product of products) {
+    const targets = product.hasVariants ? product.variants : [null];
+    for (const variant of targets) {
+      const alert = await updateAlert(product, variant);
+      if (alert) {
+        notify.push(alert);
+      }
+    }
+  }
+
+  if (notify.length) {
+    await notifyAdmins(notify);
+  }
+  return notify;
+};
+
+module.exports = {
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  thresholdFor,
+  checkStockLevels
+};
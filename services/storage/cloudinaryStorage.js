@@ -0,0 +1,45 @@
+const cloudinary = require('../../cloudinaryConfig');
+
+// How each transformation fit maps onto a Cloudinary crop mode
+const CROP_MODES = {
+  cover: 'fill',
+  contain: 'pad',
+  inside: 'limit'
+};
+
+const toCloudinaryOptions = ({ width, height, fit = 'inside', format, quality } = {}) => ({
+  width,
+  height,
+  crop: width || height ? CROP_MODES[fit] : undefined,
+  format,
+  quality
+});
+
+const cloudinaryStorage = {
+  name: 'cloudinary',
+  supportsTransformations: true,
+
+  async upload(filePath, { folder }) {
+    const result = await cloudinary.uploader.upload(filePath, {
+      resource_type: 'image',
+      folder
+    });
+    return { key: result.public_id, url: result.secure_url };
+  },
+
+  async delete(key) {
+    await cloudinary.uploader.destroy(key);
+  },
+
+  // Cloudinary renders transformations on request from the URL
+  publicUrl(key, transformation) {
+    return cloudinary.url(key, { secure: true, ...toCloudinaryOptions(transformation) });
+  },
+
+  keyFromUrl(url) {
+    const match = /res\.cloudinary\.com\/.+\/upload\/(?:v\d+\/)?(.+)\.[a-z0-9]+$/i.exec(url || '');
+    return match ? match[1] : null;
+  }
+};
+
+module.exports = cloudinaryStorage;
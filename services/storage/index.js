@@ -0,0 +1,66 @@
+const cloudinary = require('../../cloudinaryConfig');
+const createError = require('../../utils/error');
+const cloudinaryStorage = require('./cloudinaryStorage');
+const localStorage = require('./localStorage');
+
+/**
+ * Every storage backend implements the same interface:
+ *
+ * @typedef {Object} Transformation
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {string} [fit] - cover, contain or inside (default)
+ * @property {string} [format] - e.g. webp or jpg
+ * @property {number} [quality]
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} name
+ * @property {boolean} supportsTransformations - whether publicUrl renders transformations itself
+ * @property {function(string, {folder: string}): Promise<{key: string, url: string}>} upload - local file path to store
+ * @property {function(string): Promise<void>} delete - by key
+ * @property {function(string, Transformation=): string} publicUrl - URL for a key, transformed where the backend supports it
+ * @property {function(string): ?string} keyFromUrl - key of a URL this backend produced, or null
+ * @property {{route: string, dir: string}} [staticMount] - for backends whose files this app serves itself
+ */
+const adapters = {
+  [cloudinaryStorage.name]: cloudinaryStorage,
+  [localStorage.name]: localStorage
+};
+
+const registerAdapter = adapter => {
+  adapters[adapter.name] = adapter;
+};
+
+// STORAGE_DRIVER wins; otherwise Cloudinary when it is configured and local
+// disk when it is not, so the API runs offline and in CI without setup
+const getStorage = name => {
+  const driver = name || process.env.STORAGE_DRIVER || (cloudinary.isConfigured ? 'cloudinary' : 'local');
+  const adapter = adapters[driver];
+  if (!adapter) {
+    throw createError(500, `Unknown storage driver: ${driver}`);
+  }
+  return adapter;
+};
+
+/**
+ * Delete a stored asset. Assets saved before their backend and key were
+ * recorded are matched to a backend by URL; unknown URLs are left alone.
+ *
+ * @param {{storage?: string, key?: string, url?: string}} asset
+ */
+const deleteAsset = async ({ storage, key, url }) => {
+  const adapter = storage
+    ? getStorage(storage)
+    : Object.values(adapters).find(candidate => candidate.keyFromUrl(url));
+  const assetKey = key || (adapter && adapter.keyFromUrl(url));
+  if (!adapter || !assetKey) {
+    return;
+  }
+  await adapter.delete(assetKey);
+};
+
+module.exports = {
+  registerAdapter,
+  getStorage,
+  deleteAsset
+};
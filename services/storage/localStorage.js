@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const createError = require('../../utils/error');
+
+const ROUTE = '/media';
+const ROOT = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'media'));
+// PUBLIC_URL makes the links absolute, e.g. when the frontend is on another host
+const BASE_URL = `${(process.env.PUBLIC_URL || '').replace(/\/+$/, '')}${ROUTE}`;
+
+// Keys are relative paths under ROOT; anything resolving outside it is rejected
+const resolveKey = key => {
+  const filePath = path.resolve(ROOT, key);
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    throw createError(400, 'Invalid storage key');
+  }
+  return filePath;
+};
+
+// Files on the local disk, served by server.js from ROUTE. Meant for
+// development and CI; transformations are not applied.
+const localStorage = {
+  name: 'local',
+  supportsTransformations: false,
+
+  // Where server.js mounts express.static for this backend
+  staticMount: { route: ROUTE, dir: ROOT },
+
+  async upload(filePath, { folder }) {
+    const name = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(filePath).toLowerCase()}`;
+    const key = path.posix.join(folder, name);
+    const destination = resolveKey(key);
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    await fs.promises.copyFile(filePath, destination);
+    return { key, url: this.publicUrl(key) };
+  },
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  },
+
+  publicUrl(key) {
+    return `${BASE_URL}/${key}`;
+  },
+
+  keyFromUrl(url) {
+    return url && url.startsWith(`${BASE_URL}/`) ? url.slice(BASE_URL.length + 1) : null;
+  }
+};
+
+module.exports = localStorage;
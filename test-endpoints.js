@@ -54,7 +54,7 @@ async function testEndpoints() {
       const buffer = Buffer.from('R0lGODlhAQABAIAAAAUEBAAAACwAAAAAAQABAAACAkQBADs=', 'base64');
       fs.writeFileSync(testImagePath, buffer);
     }
-    formData.append('image', fs.createReadStream(testImagePath));
+    formData.append('images', fs.createReadStream(testImagePath));
 
     const createResponse = await axios.post(`${API_URL}/api/products`, formData, {
       headers: {
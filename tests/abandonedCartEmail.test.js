@@ -0,0 +1,19 @@
+const abandonedCartTemplate = require('../helper/abandonedCart');
+
+describe('abandoned cart email', () => {
+  it('escapes names and links before putting them in the HTML', () => {
+    const html = abandonedCartTemplate({
+      name: '<script>alert(1)</script>',
+      items: [{ name: 'Salt & <b>Pepper</b>', quantity: 2, price: 3.5 }],
+      cartUrl: 'https://shop.example/cart?a=1&b="2"',
+      discount: { code: 'COMEBACK-1A2B', percent: 10, expiresAt: new Date('2030-01-01') },
+      unsubscribeUrl: 'https://api.example/unsubscribe/abc'
+    });
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('Hello &lt;script&gt;alert(1)&lt;/script&gt;,');
+    expect(html).toContain('<td>Salt &amp; &lt;b&gt;Pepper&lt;/b&gt;</td>');
+    expect(html).toContain('href="https://shop.example/cart?a=1&amp;b=&quot;2&quot;"');
+    expect(html).toContain('<strong>COMEBACK-1A2B</strong>');
+  });
+});
@@ -0,0 +1,48 @@
+const { parseCsv, toCsvRow, unescapeFormula } = require('../utils/csv');
+
+describe('toCsvRow', () => {
+  it('quotes cells containing commas, quotes or newlines', () => {
+    expect(toCsvRow(['a,b', 'say "hi"', 'two\nlines', 3])).toBe('"a,b","say ""hi""","two\nlines",3\r\n');
+  });
+
+  it('writes missing values as empty cells', () => {
+    expect(toCsvRow([undefined, null, 0, false])).toBe(',,0,false\r\n');
+  });
+
+  it.each(['=SUM(A1:A2)', '+1', '-1', '@cmd', '\tx'])('prefixes %j so it cannot run as a formula', value => {
+    expect(toCsvRow([value])).toBe(`'${value}\r\n`);
+  });
+
+  it('leaves numbers alone, including negative ones', () => {
+    expect(toCsvRow([-5])).toBe('-5\r\n');
+  });
+
+  it('quotes an escaped formula that also needs quoting', () => {
+    expect(toCsvRow(['=HYPERLINK("x")'])).toBe('"\'=HYPERLINK(""x"")"\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads rows keyed by the header, with quoted fields', () => {
+    const text = '\uFEFFsku,name\r\nA1,"Mug, large"\r\nA2,"Say ""hi"""\n';
+    expect(parseCsv(text)).toEqual([
+      { sku: 'A1', name: 'Mug, large' },
+      { sku: 'A2', name: 'Say "hi"' }
+    ]);
+  });
+
+  it('skips blank lines and fills missing cells', () => {
+    expect(parseCsv('sku,name\n\nA1\n')).toEqual([{ sku: 'A1', name: '' }]);
+  });
+});
+
+describe('unescapeFormula', () => {
+  it('round-trips escaped formula text', () => {
+    const [row] = parseCsv(`name\r\n${toCsvRow(['=1+1'])}`);
+    expect(unescapeFormula(row.name)).toBe('=1+1');
+  });
+
+  it('keeps a leading quote that was not added by the export', () => {
+    expect(unescapeFormula('\'quoted\'')).toBe('\'quoted\'');
+  });
+});
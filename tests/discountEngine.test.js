@@ -0,0 +1,136 @@
+const Category = require('../models/category');
+const Order = require('../models/order');
+const { evaluateDiscount } = require('../services/discountEngine');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const discountOf = fields => ({
+  code: 'TEST',
+  isActive: true,
+  expiresAt: new Date(Date.now() + DAY),
+  minSubtotal: 0,
+  maxDiscountAmount: null,
+  appliesTo: { products: [], categories: [] },
+  ...fields
+});
+
+const line = (id, price, quantity, category = 'cat-a') => ({
+  product: { _id: id, price, category },
+  quantity
+});
+
+const sumOf = (lines, key) => Math.round(lines.reduce((sum, item) => sum + item[key], 0) * 100) / 100;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('evaluateDiscount', () => {
+  it('spreads a percentage discount over the lines in proportion to their value', async () => {
+    const evaluation = await evaluateDiscount({
+      discount: discountOf({ discountType: 'percentage', amount: 10 }),
+      lines: [line('p1', 30, 1), line('p2', 10, 2)]
+    });
+
+    expect(evaluation).toMatchObject({ applicable: true, subtotal: 50, discountAmount: 5, total: 45 });
+    expect(evaluation.lines.map(item => item.discount)).toEqual([3, 2]);
+    expect(evaluation.lines.map(item => item.lineTotal)).toEqual([27, 18]);
+  });
+
+  it('puts rounding on the last line so the parts add up to the total', async () => {
+    const evaluation = await evaluateDiscount({
+      discount: discountOf({ discountType: 'fixed', amount: 10 }),
+      lines: [line('p1', 10, 1), line('p2', 10, 1), line('p3', 10, 1)]
+    });
+
+    expect(evaluation.lines.map(item => item.discount)).toEqual([3.33, 3.33, 3.34]);
+    expect(sumOf(evaluation.lines, 'discount')).toBe(evaluation.discountAmount);
+    expect(sumOf(evaluation.lines, 'lineTotal')).toBe(evaluation.total);
+  });
+
+  it('never discounts more than the eligible subtotal or maxDiscountAmount', async () => {
+    const lines = [line('p1', 15, 1)];
+
+    const fixed = await evaluateDiscount({ discount: discountOf({ discountType: 'fixed', amount: 50 }), lines });
+    expect(fixed).toMatchObject({ discountAmount: 15, total: 0 });
+
+    const capped = await evaluateDiscount({
+      discount: discountOf({ discountType: 'percentage', amount: 50, maxDiscountAmount: 5 }),
+      lines
+    });
+    expect(capped).toMatchObject({ discountAmount: 5, total: 10 });
+  });
+
+  it('only discounts lines in the scoped products, leaving the rest untouched', async () => {
+    const evaluation = await evaluateDiscount({
+      discount: discountOf({ discountType: 'percentage', amount: 50, appliesTo: { products: ['p2'], categories: [] } }),
+      lines: [line('p1', 20, 1), line('p2', 10, 1)]
+    });
+
+    expect(evaluation).toMatchObject({ eligibleSubtotal: 10, discountAmount: 5, total: 25 });
+    expect(evaluation.lines.map(item => [item.eligible, item.discount])).toEqual([[false, 0], [true, 5]]);
+  });
+
+  it('includes subcategories of a scoped category', async () => {
+    jest.spyOn(Category, 'find').mockImplementation(({ parent }) => ({
+      session: () => Promise.resolve(parent.$in.includes('cat-a') ? [{ _id: 'cat-a-child' }] : [])
+    }));
+
+    const evaluation = await evaluateDiscount({
+      discount: discountOf({ discountType: 'fixed', amount: 4, appliesTo: { products: [], categories: ['cat-a'] } }),
+      lines: [line('p1', 10, 1, 'cat-a-child'), line('p2', 10, 1, 'cat-b')]
+    });
+
+    expect(evaluation.lines.map(item => item.eligible)).toEqual([true, false]);
+    expect(evaluation.discountAmount).toBe(4);
+  });
+
+  it('gives the cheapest units of each buy-x-get-y group away', async () => {
+    const evaluation = await evaluateDiscount({
+      discount: discountOf({ discountType: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1, getDiscountPercent: 100 }),
+      lines: [line('p1', 30, 2), line('p2', 10, 4)]
+    });
+
+    // Six units make two groups of three; the two cheapest units (10 each) are free
+    expect(evaluation).toMatchObject({ subtotal: 100, discountAmount: 20, total: 80 });
+  });
+
+  it('explains why a discount does not apply and discounts nothing', async () => {
+    const evaluation = await evaluateDiscount({
+      discount: discountOf({
+        discountType: 'fixed',
+        amount: 5,
+        minSubtotal: 100,
+        expiresAt: new Date(Date.now() - DAY)
+      }),
+      lines: [line('p1', 10, 1)]
+    });
+
+    expect(evaluation.applicable).toBe(false);
+    expect(evaluation.reasons).toEqual(['Discount has expired', 'Minimum spend of 100 not reached']);
+    expect(evaluation).toMatchObject({ discountAmount: 0, total: 10 });
+    expect(evaluation.lines[0].discount).toBe(0);
+  });
+
+  it('enforces the per-user limit from the orders placed with the code', async () => {
+    jest.spyOn(Order, 'countDocuments').mockReturnValue({ session: () => Promise.resolve(1) });
+    const discount = discountOf({ discountType: 'fixed', amount: 5, perUserLimit: 1 });
+    const lines = [line('p1', 10, 1)];
+
+    const used = await evaluateDiscount({ discount, lines, userId: 'user-1' });
+    expect(used.reasons).toEqual(['You have already used this discount the maximum number of times']);
+
+    const guest = await evaluateDiscount({ discount, lines });
+    expect(guest.reasons).toEqual(['Sign in to use this discount']);
+  });
+
+  it('only lets the assigned user redeem a single-user code', async () => {
+    const discount = discountOf({ discountType: 'percentage', amount: 10, user: 'user-1' });
+    const lines = [line('p1', 10, 1)];
+
+    await expect(evaluateDiscount({ discount, lines, userId: 'user-1' })).resolves.toMatchObject({ applicable: true });
+    await expect(evaluateDiscount({ discount, lines, userId: 'user-2' })).resolves.toMatchObject({
+      reasons: ['This code is not valid for your account']
+    });
+  });
+});
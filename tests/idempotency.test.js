@@ -0,0 +1,176 @@
+// An in-memory stand-in for the IdempotencyKey model, with the unique
+// (user, key) index the middleware relies on
+jest.mock('../models/idempotencyKey', () => {
+  const records = [];
+  let nextId = 1;
+
+  const matches = (record, filter) => Object.entries(filter).every(([key, value]) => String(record[key]) === String(value));
+  const copy = record => record && { ...record };
+
+  return {
+    records,
+    create: async fields => {
+      if (records.some(record => String(record.user) === String(fields.user) && record.key === fields.key)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      const record = { _id: nextId++, status: 'processing', createdAt: new Date(), ...fields };
+      records.push(record);
+      return copy(record);
+    },
+    findOne: async filter => copy(records.find(record => matches(record, filter))),
+    updateOne: async (filter, update) => {
+      const record = records.find(candidate => matches(candidate, filter));
+      if (record) {
+        Object.assign(record, update);
+      }
+    },
+    deleteOne: async filter => {
+      const index = records.findIndex(record => matches(record, filter));
+      if (index !== -1) {
+        records.splice(index, 1);
+      }
+      return { deletedCount: index === -1 ? 0 : 1 };
+    }
+  };
+});
+
+const express = require('express');
+const request = require('supertest');
+const IdempotencyKey = require('../models/idempotencyKey');
+const { idempotency } = require('../middleware/idempotency');
+
+// Checkout stand-in: counts how often the handler really runs
+const buildApp = handler => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: 'user-1' };
+    next();
+  });
+  app.post('/orders', idempotency, handler);
+  app.use((error, req, res, next) => {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  });
+  return app;
+};
+
+const placeOrder = (app, body = { item: 'mug' }, key = 'key-1') =>
+  request(app).post('/orders').set('Idempotency-Key', key).send(body);
+
+// Let fire-and-forget bookkeeping after the response settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  IdempotencyKey.records.length = 0;
+});
+
+describe('idempotency middleware', () => {
+  it('replays the stored response for a retry instead of running the handler again', async () => {
+    const handler = jest.fn((req, res) => res.status(201).json({ order: 'order-1' }));
+    const app = buildApp(handler);
+
+    const first = await placeOrder(app);
+    const retry = await placeOrder(app);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(first.status).toBe(201);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual({ order: 'order-1' });
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('passes requests without a key straight through', async () => {
+    const handler = jest.fn((req, res) => res.json({ ok: true }));
+    const app = buildApp(handler);
+
+    await request(app).post('/orders').send({});
+    await request(app).post('/orders').send({});
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(IdempotencyKey.records).toHaveLength(0);
+  });
+
+  it('rejects a key reused for a different request with 422', async () => {
+    const app = buildApp((req, res) => res.status(201).json({ order: 'order-1' }));
+
+    await placeOrder(app, { item: 'mug' });
+    const reused = await placeOrder(app, { item: 'plate' });
+
+    expect(reused.status).toBe(422);
+  });
+
+  it('does not store server errors, so the retry runs again', async () => {
+    const handler = jest.fn()
+      .mockImplementationOnce((req, res) => res.status(500).json({ message: 'Database down' }))
+      .mockImplementationOnce((req, res) => res.status(201).json({ order: 'order-1' }));
+    const app = buildApp(handler);
+
+    expect((await placeOrder(app)).status).toBe(500);
+    await settle();
+    const retry = await placeOrder(app);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(retry.status).toBe(201);
+  });
+
+  it('releases the key when the response is not sent with res.json', async () => {
+    const handler = jest.fn()
+      .mockImplementationOnce((req, res) => res.status(204).end())
+      .mockImplementationOnce((req, res) => res.status(201).json({ order: 'order-1' }));
+    const app = buildApp(handler);
+
+    expect((await placeOrder(app)).status).toBe(204);
+    await settle();
+    const retry = await placeOrder(app);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(retry.status).toBe(201);
+  });
+
+  // Checkout that stays in progress until release() is called
+  const slowHandler = () => {
+    let release;
+    const started = new Promise(resolve => {
+      release = resolve;
+    });
+    const handler = jest.fn(async (req, res) => {
+      if (handler.mock.calls.length === 1) {
+        await started;
+      }
+      res.status(201).json({ order: 'order-1' });
+    });
+    return { handler, release: () => release() };
+  };
+
+  it('answers 409 while the first request is still processing', async () => {
+    const { handler, release } = slowHandler();
+    const app = buildApp(handler);
+
+    const first = placeOrder(app).then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const retry = await placeOrder(app);
+    release();
+
+    expect(retry.status).toBe(409);
+    expect((await first).status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('hands a key stuck in processing to the next retry', async () => {
+    const { handler, release } = slowHandler();
+    const app = buildApp(handler);
+
+    const first = placeOrder(app).then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    IdempotencyKey.records[0].createdAt = new Date(Date.now() - 60 * 60 * 1000);
+    const retry = await placeOrder(app);
+    release();
+    await first;
+
+    expect(retry.status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(IdempotencyKey.records).toHaveLength(1);
+    expect(IdempotencyKey.records[0].status).toBe('completed');
+  });
+});
@@ -0,0 +1,100 @@
+const Order = require('../models/order');
+const { ORDER_STATUSES, TRANSITIONS, canTransition, transitionOrder } = require('../services/orderStatusService');
+
+const mockOrder = fields => {
+  const order = { _id: 'order-1', orderStatus: 'pending', paymentMethod: 'card', paymentStatus: 'paid', ...fields };
+  jest.spyOn(Order, 'findOne').mockReturnValue({ session: () => Promise.resolve(order) });
+  return order;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('order status transitions', () => {
+  it('lists a transition rule for every status', () => {
+    expect(Object.keys(TRANSITIONS).sort()).toEqual([...ORDER_STATUSES].sort());
+  });
+
+  it.each([
+    ['pending', 'confirmed'],
+    ['confirmed', 'processing'],
+    ['processing', 'shipped'],
+    ['shipped', 'delivered'],
+    ['processing', 'cancelled']
+  ])('allows %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  it.each([
+    ['pending', 'shipped'],
+    ['shipped', 'cancelled'],
+    ['delivered', 'cancelled'],
+    ['cancelled', 'pending'],
+    ['unknown', 'pending']
+  ])('rejects %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+});
+
+describe('transitionOrder', () => {
+  it('moves the order on and records who changed it and why', async () => {
+    mockOrder({ orderStatus: 'confirmed' });
+    const update = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue({ orderStatus: 'processing' });
+
+    const updated = await transitionOrder('order-1', 'processing', { actor: 'admin-1', reason: 'Packing' });
+
+    expect(updated).toEqual({ orderStatus: 'processing' });
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: 'order-1', orderStatus: 'confirmed' });
+    expect(change.$set).toEqual({ orderStatus: 'processing' });
+    expect(change.$push.statusHistory).toMatchObject({
+      status: 'processing',
+      from: 'confirmed',
+      changedBy: 'admin-1',
+      reason: 'Packing'
+    });
+  });
+
+  it('rejects unknown statuses with 400', async () => {
+    await expect(transitionOrder('order-1', 'lost')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('returns 404 for a missing order', async () => {
+    jest.spyOn(Order, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+    await expect(transitionOrder('order-1', 'confirmed')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('refuses illegal transitions with 409', async () => {
+    mockOrder({ orderStatus: 'delivered' });
+    const update = jest.spyOn(Order, 'findOneAndUpdate');
+
+    await expect(transitionOrder('order-1', 'cancelled')).rejects.toMatchObject({ statusCode: 409 });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('reports a concurrent change as 409 instead of overwriting it', async () => {
+    mockOrder({ orderStatus: 'confirmed' });
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(transitionOrder('order-1', 'processing')).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringMatching(/another request/)
+    });
+  });
+
+  it.each(['pending', 'failed'])('keeps %s card orders pending until they are paid', async paymentStatus => {
+    mockOrder({ paymentStatus });
+    const update = jest.spyOn(Order, 'findOneAndUpdate');
+
+    await expect(transitionOrder('order-1', 'confirmed')).rejects.toMatchObject({ statusCode: 409 });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('confirms unpaid cash on delivery orders', async () => {
+    mockOrder({ paymentMethod: 'cash_on_delivery', paymentStatus: 'pending' });
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue({ orderStatus: 'confirmed' });
+
+    await expect(transitionOrder('order-1', 'confirmed')).resolves.toEqual({ orderStatus: 'confirmed' });
+  });
+});
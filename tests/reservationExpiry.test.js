@@ -0,0 +1,75 @@
+const Order = require('../models/order');
+const Product = require('../models/product');
+const StockReservation = require('../models/stockReservation');
+const orderService = require('../services/orderService');
+const reservationService = require('../services/reservationService');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('reservationExpiry', () => {
+  it('holds stock for STOCK_RESERVATION_MINUTES from now', () => {
+    const before = Date.now();
+    const expiry = reservationService.reservationExpiry().getTime();
+
+    expect(expiry - before).toBeGreaterThanOrEqual(reservationService.RESERVATION_MINUTES * 60 * 1000);
+    expect(expiry - Date.now()).toBeLessThanOrEqual(reservationService.RESERVATION_MINUTES * 60 * 1000);
+  });
+});
+
+describe('expireUnpaidOrders', () => {
+  const mockExpiredOrders = ids => jest.spyOn(Order, 'find').mockReturnValue({
+    limit: () => Promise.resolve(ids.map(_id => ({ _id })))
+  });
+
+  it('cancels unpaid pending orders whose reservation has run out', async () => {
+    const find = mockExpiredOrders(['a', 'b']);
+    const cancel = jest.spyOn(orderService, 'cancelOrder').mockResolvedValue({});
+
+    await expect(orderService.expireUnpaidOrders()).resolves.toBe(2);
+
+    const [filter] = find.mock.calls[0];
+    expect(filter.reservationExpiresAt.$lte).toBeInstanceOf(Date);
+    expect(filter.reservationExpiresAt.$lte.getTime()).toBeLessThanOrEqual(Date.now());
+    expect(filter.orderStatus).toBe('pending');
+    expect(filter.paymentStatus).toEqual({ $in: ['pending', 'failed'] });
+    expect(cancel.mock.calls.map(([params]) => params)).toEqual([
+      { orderId: 'a', reason: 'Payment not received in time' },
+      { orderId: 'b', reason: 'Payment not received in time' }
+    ]);
+  });
+
+  it('carries on when an order was paid or cancelled in the meantime', async () => {
+    mockExpiredOrders(['a', 'b']);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(orderService, 'cancelOrder')
+      .mockRejectedValueOnce(Object.assign(new Error('Order status was changed'), { statusCode: 409 }))
+      .mockResolvedValueOnce({});
+
+    await expect(orderService.expireUnpaidOrders()).resolves.toBe(1);
+  });
+});
+
+describe('releaseReservations', () => {
+  it('returns reserved units to available stock and marks the reservations released', async () => {
+    const reservations = [
+      { product: 'p1', variant: undefined, quantity: 2, save: jest.fn().mockResolvedValue() },
+      { product: 'p2', variant: 'v1', quantity: 1, save: jest.fn().mockResolvedValue() }
+    ];
+    const find = jest.spyOn(StockReservation, 'find').mockReturnValue({ session: () => Promise.resolve(reservations) });
+    const updateOne = jest.spyOn(Product, 'updateOne').mockResolvedValue({});
+
+    await expect(reservationService.releaseReservations('order-1')).resolves.toBe(2);
+
+    expect(find).toHaveBeenCalledWith({ order: 'order-1', status: 'active' });
+    expect(updateOne.mock.calls.map(([filter, update]) => [filter, update])).toEqual([
+      [{ _id: 'p1' }, { $inc: { reserved: -2 } }],
+      [{ _id: 'p2', 'variants._id': 'v1' }, { $inc: { 'variants.$.reserved': -1, reserved: -1 } }]
+    ]);
+    reservations.forEach(reservation => {
+      expect(reservation.status).toBe('released');
+      expect(reservation.save).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,114 @@
+// A small in-memory stand-in for the RefreshToken model, enough for the
+// queries that token rotation makes
+jest.mock('../models/refreshToken', () => {
+  const records = [];
+  let nextId = 1;
+
+  const matches = (record, filter) => Object.entries(filter).every(([key, value]) => {
+    if (value === null) {
+      return record[key] === null || record[key] === undefined;
+    }
+    if (value && value.$ne !== undefined) {
+      return record[key] !== value.$ne;
+    }
+    return String(record[key]) === String(value);
+  });
+
+  return {
+    records,
+    create: async fields => {
+      const record = { _id: nextId++, revokedAt: null, replacedByHash: null, ...fields };
+      records.push(record);
+      return record;
+    },
+    findOne: filter => ({
+      populate: async () => {
+        const record = records.find(candidate => matches(candidate, filter));
+        return record ? { ...record, user: { _id: record.user } } : null;
+      }
+    }),
+    findOneAndUpdate: async (filter, update) => {
+      const record = records.find(candidate => matches(candidate, filter));
+      if (record) {
+        Object.assign(record, update);
+      }
+      return record || null;
+    },
+    updateOne: async (filter, update) => {
+      const record = records.find(candidate => matches(candidate, filter));
+      if (record) {
+        Object.assign(record, update);
+      }
+    },
+    updateMany: async (filter, update) => {
+      records.filter(candidate => matches(candidate, filter)).forEach(record => Object.assign(record, update));
+    }
+  };
+});
+
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/refreshToken');
+const { createSession, rotateRefreshToken, hashToken } = require('../utils/tokens');
+
+const req = { get: () => 'jest', ip: '127.0.0.1' };
+const user = { _id: 'user-1' };
+
+beforeAll(() => {
+  process.env.JWT_SECRET = 'test-secret';
+});
+
+beforeEach(() => {
+  RefreshToken.records.length = 0;
+});
+
+const activeTokens = family => RefreshToken.records.filter(record => record.family === family && !record.revokedAt);
+
+describe('rotateRefreshToken', () => {
+  it('replaces the presented token with a new one in the same session', async () => {
+    const session = await createSession(user, req);
+
+    const rotated = await rotateRefreshToken(session.refreshToken, req);
+
+    expect(rotated.refreshToken).not.toBe(session.refreshToken);
+    expect(rotated.sessionId).toBe(session.sessionId);
+    expect(jwt.verify(rotated.accessToken, 'test-secret')).toMatchObject({ userId: 'user-1', sid: session.sessionId });
+    expect(activeTokens(session.sessionId).map(record => record.tokenHash)).toEqual([hashToken(rotated.refreshToken)]);
+
+    const old = RefreshToken.records.find(record => record.tokenHash === hashToken(session.refreshToken));
+    expect(old.replacedByHash).toBe(hashToken(rotated.refreshToken));
+  });
+
+  it('treats reuse of a rotated token as theft and signs the session out', async () => {
+    const session = await createSession(user, req);
+    const rotated = await rotateRefreshToken(session.refreshToken, req);
+
+    await expect(rotateRefreshToken(session.refreshToken, req)).rejects.toMatchObject({
+      statusCode: 401,
+      message: expect.stringMatching(/reuse detected/)
+    });
+
+    expect(activeTokens(session.sessionId)).toHaveLength(0);
+    await expect(rotateRefreshToken(rotated.refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('leaves other sessions of the same user signed in after reuse', async () => {
+    const stolen = await createSession(user, req);
+    const other = await createSession(user, req);
+    await rotateRefreshToken(stolen.refreshToken, req);
+
+    await expect(rotateRefreshToken(stolen.refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(activeTokens(other.sessionId)).toHaveLength(1);
+  });
+
+  it('rejects unknown and expired tokens', async () => {
+    await expect(rotateRefreshToken('not-a-token', req)).rejects.toMatchObject({ statusCode: 401 });
+
+    const session = await createSession(user, req);
+    RefreshToken.records[0].expiresAt = new Date(Date.now() - 1000);
+    await expect(rotateRefreshToken(session.refreshToken, req)).rejects.toMatchObject({
+      statusCode: 401,
+      message: expect.stringMatching(/expired/)
+    });
+  });
+});
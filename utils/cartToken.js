@@ -0,0 +1,63 @@
+const jwt = require('jsonwebtoken');
+
+const GUEST_CART_EXPIRES_DAYS = parseInt(process.env.GUEST_CART_EXPIRES_DAYS) || 30;
+const CART_TOKEN_COOKIE = 'cartToken';
+const CART_TOKEN_HEADER = 'X-Cart-Token';
+
+const cartTokenSecret = () => process.env.CART_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const guestCartExpiry = () => new Date(Date.now() + GUEST_CART_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+// Guest carts are identified by a signed token carrying the cart id. It has no
+// userId, so it can never pass as an access token.
+const signCartToken = cartId => {
+  return jwt.sign({ cartId: cartId.toString(), type: 'guest_cart' }, cartTokenSecret(), {
+    expiresIn: `${GUEST_CART_EXPIRES_DAYS}d`
+  });
+};
+
+// The cart id from the token sent as a header or cookie, or null when there
+// is none or it does not verify
+const readCartToken = req => {
+  const token = req.get(CART_TOKEN_HEADER) || req.cookies?.[CART_TOKEN_COOKIE];
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(token, cartTokenSecret());
+    return decoded.type === 'guest_cart' && decoded.cartId ? decoded.cartId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const cartCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api'
+});
+
+// Sent both ways: browsers keep the cookie, other clients store the header
+const setCartToken = (res, token) => {
+  res.set(CART_TOKEN_HEADER, token);
+  res.cookie(CART_TOKEN_COOKIE, token, {
+    ...cartCookieOptions(),
+    maxAge: GUEST_CART_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+  });
+};
+
+const clearCartToken = res => {
+  res.clearCookie(CART_TOKEN_COOKIE, cartCookieOptions());
+};
+
+module.exports = {
+  CART_TOKEN_COOKIE,
+  CART_TOKEN_HEADER,
+  guestCartExpiry,
+  signCartToken,
+  readCartToken,
+  setCartToken,
+  clearCartToken
+};
@@ -0,0 +1,86 @@
+// Minimal RFC 4180 CSV support: quoted fields, escaped quotes ("") and
+// newlines inside quotes
+
+/**
+ * Parse CSV text into one object per data row, keyed by the header row.
+ *
+ * @param {string} text
+ * @returns {Object[]}
+ */
+const parseCsv = text => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...data] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  const columns = header.map(column => column.trim());
+  return data.map(cells =>
+    columns.reduce((record, column, index) => {
+      record[column] = cells[index] !== undefined ? cells[index] : '';
+      return record;
+    }, {})
+  );
+};
+
+// Spreadsheets treat text starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t]/;
+
+const escapeCell = value => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  // Prefixed with ' so that text such as a product name cannot run as a formula
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo the formula escaping added by toCsvRow, for text read back in
+const unescapeFormula = text =>
+  text.startsWith('\'') && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+
+// One CSV line, terminated with CRLF
+const toCsvRow = values => `${values.map(escapeCell).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  toCsvRow,
+  unescapeFormula
+};
@@ -3,6 +3,9 @@ class ErrorHandler extends Error {
         super();
         this.statusCode = statusCode;
         this.message = message;
+        this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+        // Client errors are safe to show in production; 5xx details stay hidden
+        this.isOperational = statusCode < 500;
     }
 }
 
@@ -0,0 +1,16 @@
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;'
+};
+
+// Escape text, such as a product or user name, for use in email HTML,
+// including inside attribute values
+const escapeHtml = value =>
+  value === undefined || value === null ? '' : String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+module.exports = {
+  escapeHtml
+};
@@ -0,0 +1,47 @@
+// Named permissions checked by requirePermission()
+const PERMISSIONS = {
+  PRODUCT_WRITE: 'product:write',
+  CATEGORY_WRITE: 'category:write',
+  ORDER_MANAGE: 'order:manage',
+  DISCOUNT_MANAGE: 'discount:manage',
+  USER_MANAGE: 'user:manage',
+};
+
+// Permissions granted to each role. Super admins hold every permission.
+const ROLE_PERMISSIONS = {
+  user: [],
+  admin: [
+    PERMISSIONS.PRODUCT_WRITE,
+    PERMISSIONS.CATEGORY_WRITE,
+    PERMISSIONS.ORDER_MANAGE,
+    PERMISSIONS.DISCOUNT_MANAGE,
+  ],
+  superadmin: Object.values(PERMISSIONS),
+};
+
+// Resolve the effective role from the user's role, isAdmin and isSuperAdmin fields
+const getUserRole = user => {
+  if (!user) {
+    return null;
+  }
+  if (user.isSuperAdmin) {
+    return 'superadmin';
+  }
+  if (user.isAdmin || user.role === 'admin') {
+    return 'admin';
+  }
+  return 'user';
+};
+
+const getUserPermissions = user => ROLE_PERMISSIONS[getUserRole(user)] || [];
+
+const hasPermission = (user, permission) =>
+  getUserPermissions(user).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getUserRole,
+  getUserPermissions,
+  hasPermission,
+};
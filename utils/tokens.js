@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/refreshToken');
+const createError = require('./error');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '1h';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const REFRESH_TOKEN_COOKIE = 'refreshToken';
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Access tokens carry the session id (sid) so a revoked session can be rejected early
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign({ userId: user._id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+const issueRefreshToken = async (user, req, previous) => {
+  const token = crypto.randomBytes(64).toString('hex');
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: previous ? previous.family : crypto.randomUUID(),
+    sessionStartedAt: previous ? previous.sessionStartedAt : new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  });
+  return { token, record };
+};
+
+// Start a new device session: a fresh refresh token family plus an access token
+const createSession = async (user, req) => {
+  const { token, record } = await issueRefreshToken(user, req);
+  return {
+    accessToken: signAccessToken(user, record.family),
+    refreshToken: token,
+    sessionId: record.family
+  };
+};
+
+// Exchange a refresh token for a new pair. Presenting an already rotated token
+// is treated as theft and revokes the whole family.
+const rotateRefreshToken = async (token, req) => {
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(token) }).populate('user');
+  if (!current || !current.user) {
+    throw createError(401, 'Invalid refresh token');
+  }
+
+  if (current.revokedAt) {
+    await revokeSession(current.family);
+    throw createError(401, 'Refresh token reuse detected. This session has been signed out.');
+  }
+
+  if (current.expiresAt <= new Date()) {
+    throw createError(401, 'Refresh token has expired. Please log in again.');
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: current._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  if (!claimed) {
+    await revokeSession(current.family);
+    throw createError(401, 'Refresh token reuse detected. This session has been signed out.');
+  }
+
+  const { token: newToken, record } = await issueRefreshToken(current.user, req, current);
+  await RefreshToken.updateOne({ _id: current._id }, { replacedByHash: record.tokenHash });
+
+  return {
+    accessToken: signAccessToken(current.user, record.family),
+    refreshToken: newToken,
+    sessionId: record.family
+  };
+};
+
+const revokeSession = (family, userId) => {
+  const filter = { family, revokedAt: null };
+  if (userId) {
+    filter.user = userId;
+  }
+  return RefreshToken.updateMany(filter, { revokedAt: new Date() });
+};
+
+const revokeAllSessions = (userId, exceptFamily) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptFamily) {
+    filter.family = { $ne: exceptFamily };
+  }
+  return RefreshToken.updateMany(filter, { revokedAt: new Date() });
+};
+
+const isSessionActive = family =>
+  RefreshToken.exists({ family, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/users'
+});
+
+const setRefreshCookie = (res, token) => {
+  res.cookie(REFRESH_TOKEN_COOKIE, token, {
+    ...refreshCookieOptions(),
+    maxAge: REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+  });
+};
+
+const clearRefreshCookie = res => {
+  res.clearCookie(REFRESH_TOKEN_COOKIE, refreshCookieOptions());
+};
+
+module.exports = {
+  REFRESH_TOKEN_COOKIE,
+  hashToken,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  setRefreshCookie,
+  clearRefreshCookie
+};